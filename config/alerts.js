@@ -0,0 +1,11 @@
+// User-defined alert rules
+module.exports = {
+  // Rules one user can keep
+  maxRulesPerUser: parseInt(process.env.ALERT_MAX_RULES_PER_USER, 10) || 50,
+  // Longest window a rule can count articles over
+  maxWindowHours: parseFloat(process.env.ALERT_MAX_WINDOW_HOURS) || 7 * 24,
+  // How many matches to keep in the match history, across all users
+  maxMatchHistory: parseInt(process.env.ALERT_MATCH_HISTORY, 10) || 1000,
+  // Articles listed in one match; the count covers them all
+  articlesPerMatch: 10
+};
@@ -0,0 +1,21 @@
+// Volume and sentiment anomaly detection settings, per series granularity
+module.exports = {
+  day: {
+    // Weight of the newest point in the moving average (0-1)
+    alpha: parseFloat(process.env.ANOMALY_DAY_ALPHA) || 0.3,
+    // Points used to seed the average before anything can be flagged
+    warmup: 3,
+    // Standard deviations above the average that count as an anomaly
+    zThreshold: parseFloat(process.env.ANOMALY_DAY_Z) || 2.5,
+    // Smallest count worth flagging
+    minCount: 3
+  },
+  hour: {
+    alpha: parseFloat(process.env.ANOMALY_HOUR_ALPHA) || 0.1,
+    warmup: 24,
+    zThreshold: parseFloat(process.env.ANOMALY_HOUR_Z) || 3.5,
+    minCount: 3
+  },
+  // Anomalies this recent are marked for notification
+  notifyHours: parseFloat(process.env.ANOMALY_NOTIFY_HOURS) || 24
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Secret signing access and refresh tokens. Without one, a random secret is used
+// and everyone has to sign in again after a restart.
+const jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; sessions will not survive a restart');
+}
+
+// Roles from least to most access; each includes everything the ones before it can do
+const roles = ['viewer', 'analyst', 'admin'];
+
+let defaultRole = process.env.AUTH_DEFAULT_ROLE || 'viewer';
+if (!roles.includes(defaultRole)) {
+  console.warn(`Ignoring invalid AUTH_DEFAULT_ROLE "${defaultRole}" (expected one of: ${roles.join(', ')}); using viewer`);
+  defaultRole = 'viewer';
+}
+
+module.exports = {
+  jwtSecret,
+  // Access tokens are short-lived; the refresh token renews them
+  accessTokenMinutes: parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15,
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30,
+  // How long a refresh token still works after it was traded in, so tabs that
+  // refresh the same session at once all get the new pair
+  refreshGraceSeconds: parseInt(process.env.REFRESH_GRACE_SECONDS, 10) || 30,
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
+  minPasswordLength: 8,
+  // Whether anyone can register; the first account is always allowed and becomes admin
+  allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+  roles,
+  defaultRole
+};
@@ -0,0 +1,7 @@
+// Caching for /api/news responses
+module.exports = {
+  // Seconds a response is served as fresh
+  ttlSeconds: parseInt(process.env.NEWS_CACHE_TTL_SECONDS, 10) || 300,
+  // Seconds past the TTL a stale response is still served while it is rebuilt in the background
+  staleSeconds: parseInt(process.env.NEWS_CACHE_STALE_SECONDS, 10) || 3600
+};
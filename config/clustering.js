@@ -0,0 +1,9 @@
+// Story clustering settings
+module.exports = {
+  // Cosine similarity (0-1) an article needs with a story to join it
+  similarityThreshold: parseFloat(process.env.CLUSTER_SIMILARITY) || 0.3,
+  // Reports further apart than this are treated as separate stories
+  windowHours: parseFloat(process.env.CLUSTER_WINDOW_HOURS) || 36,
+  // Whether crisis scoring counts distinct stories or raw articles
+  crisisCountBy: (process.env.CRISIS_COUNT_BY || 'story').toLowerCase()
+};
@@ -0,0 +1,23 @@
+// Email digest settings. The SMTP defaults match MailHog on localhost, so digests
+// can be read at http://localhost:8025 in development.
+module.exports = {
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    // TLS from the start (usually port 465); otherwise STARTTLS is used when offered
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null
+  },
+  from: process.env.DIGEST_FROM || 'IndPakNews <digest@localhost>',
+  // Where this server is reachable from a mail client, for confirm and unsubscribe links
+  publicUrl: (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  // UTC hour (0-23) the digests go out, and the ISO weekday (1 = Monday, 7 = Sunday)
+  // for the weekly one
+  sendHourUtc: process.env.DIGEST_HOUR_UTC ? parseInt(process.env.DIGEST_HOUR_UTC, 10) : 6,
+  weeklyDay: parseInt(process.env.DIGEST_WEEKLY_DAY, 10) || 1,
+  // Minutes between checks for a digest that is due
+  checkMinutes: 15,
+  topArticles: 5,
+  topEvents: 8
+};
@@ -0,0 +1,47 @@
+// Escalation index settings. Each signal scores 0-1, the index is their weighted
+// average scaled to 0-100, and the situation level comes from the thresholds.
+
+// A JSON object from the environment laid over the defaults
+function jsonEnv(name, defaults) {
+  if (!process.env[name]) return defaults;
+  try {
+    return { ...defaults, ...JSON.parse(process.env[name]) };
+  } catch (err) {
+    console.warn(`Ignoring invalid ${name}: ${err.message}`);
+    return defaults;
+  }
+}
+
+module.exports = {
+  // Recent window the index describes
+  windowHours: parseFloat(process.env.ESCALATION_WINDOW_HOURS) || 48,
+  // Days before the window that set the normal level of coverage
+  baselineDays: parseFloat(process.env.ESCALATION_BASELINE_DAYS) || 7,
+  // Categories that count as conflict coverage
+  conflictCategories: ['military', 'terrorism', 'diplomatic'],
+  weights: jsonEnv('ESCALATION_WEIGHTS', {
+    volumeSpike: 0.3,
+    negativeIntensity: 0.3,
+    priorityDensity: 0.25,
+    sourceDiversity: 0.15
+  }),
+  // Lowest index for each level
+  thresholds: jsonEnv('ESCALATION_THRESHOLDS', {
+    moderate: 25,
+    elevated: 50,
+    severe: 75
+  }),
+  // Where each signal saturates at 1
+  saturation: jsonEnv('ESCALATION_SATURATION', {
+    // Recent conflict stories per day as a multiple of the baseline rate
+    volumeRatio: 3,
+    // Baseline floor in stories per day, so a quiet history doesn't make every story a spike
+    minBaselinePerDay: 1,
+    // Average negative sentiment of recent conflict articles
+    negativeSentiment: 6,
+    // Distinct high-priority keywords per recent article
+    keywordsPerArticle: 2,
+    // Distinct outlets carrying negative conflict reports
+    outlets: 8
+  })
+};
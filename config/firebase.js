@@ -1,15 +1,9 @@
-// Temporary mock Firebase admin for development
-const mockAdmin = {
-    auth() {
-        return {
-            verifyIdToken: async function() {
-                return { uid: 'test-user' };
-            },
-            createUser: async function() {
-                return { uid: 'test-user' };
-            }
-        };
-    }
+// Optional sign-in with Firebase Authentication: with a project id set, clients
+// can exchange a Firebase ID token for a session
+module.exports = {
+  enabled: Boolean(process.env.FIREBASE_PROJECT_ID),
+  projectId: process.env.FIREBASE_PROJECT_ID || null,
+  // Also reject ID tokens revoked in Firebase. Needs a service account in
+  // GOOGLE_APPLICATION_CREDENTIALS and costs one request per sign-in.
+  checkRevoked: process.env.FIREBASE_CHECK_REVOKED === 'true'
 };
-
-module.exports = mockAdmin;
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Ingestion settings - every query below is fetched in rotation by the scheduler
+const defaultQueries = [
+  'India Pakistan conflict',
+  'India Pakistan relations',
+  'India Pakistan border',
+  'India Pakistan Kashmir',
+  'India Pakistan trade',
+  'India Pakistan cricket',
+  'India Pakistan diplomacy'
+];
+
+const queries = process.env.NEWS_QUERIES
+  ? process.env.NEWS_QUERIES.split(',').map(q => q.trim()).filter(Boolean)
+  : defaultQueries;
+
+module.exports = {
+  queries,
+  // Minutes between scheduler ticks; each provider is stretched further if its daily budget requires it
+  intervalMinutes: parseFloat(process.env.INGEST_INTERVAL_MINUTES) || 15,
+  // Backoff after 429/5xx responses: doubles per consecutive failure up to the max
+  backoffBaseMinutes: parseFloat(process.env.INGEST_BACKOFF_BASE_MINUTES) || 5,
+  backoffMaxMinutes: parseFloat(process.env.INGEST_BACKOFF_MAX_MINUTES) || 240,
+  // How many run records to keep on disk
+  maxRunHistory: parseInt(process.env.INGEST_RUN_HISTORY, 10) || 500
+};
@@ -0,0 +1,15 @@
+// Trending keyword settings
+module.exports = {
+  // Recent window compared against the earlier articles in the analytics window
+  recentHours: parseFloat(process.env.KEYWORD_RECENT_HOURS) || 48,
+  // Longest phrase extracted, in words
+  maxPhraseLength: 3,
+  // Recent articles a term must appear in before it can trend
+  minCount: parseInt(process.env.KEYWORD_MIN_COUNT, 10) || 2,
+  // Smallest lift over the baseline share of articles that counts as trending
+  minLift: parseFloat(process.env.KEYWORD_MIN_LIFT) || 1.5,
+  // Words every article is about; terms made only of these never trend
+  ignore: ['india', 'pakistan', 'indian', 'pakistani'],
+  // Terms returned
+  limit: 10
+};
@@ -0,0 +1,62 @@
+const path = require('path');
+
+// News provider settings - NEWS_PROVIDERS picks which adapters the scheduler runs
+const enabled = (process.env.NEWS_PROVIDERS || 'gnews')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Indian outlets mention India in everything, so their feeds are filtered on Pakistan
+// and vice versa; `match` is tested against title + description
+const defaultFeeds = [
+  { name: 'The Hindu', url: 'https://www.thehindu.com/news/national/feeder/default.rss', match: 'pakistan|kashmir|\\bloc\\b' },
+  { name: 'Times of India', url: 'https://timesofindia.indiatimes.com/rssfeeds/296589292.cms', match: 'pakistan|kashmir|\\bloc\\b' },
+  { name: 'Indian Express', url: 'https://indianexpress.com/section/india/feed/', match: 'pakistan|kashmir|\\bloc\\b' },
+  { name: 'Dawn', url: 'https://www.dawn.com/feeds/home', match: 'india|kashmir|\\bloc\\b' },
+  { name: 'The Express Tribune', url: 'https://tribune.com.pk/feed/home', match: 'india|kashmir|\\bloc\\b' },
+  { name: 'Geo News', url: 'https://www.geo.tv/rss/1/1', match: 'india|kashmir|\\bloc\\b' },
+  { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', match: 'india.*pakistan|pakistan.*india|kashmir' }
+];
+
+function parseFeeds() {
+  if (!process.env.RSS_FEEDS) return defaultFeeds;
+  try {
+    return JSON.parse(process.env.RSS_FEEDS);
+  } catch (err) {
+    console.error('RSS_FEEDS is not valid JSON, using the default feeds:', err.message);
+    return defaultFeeds;
+  }
+}
+
+// `node index.js --replay` (or --record) overrides NEWS_MODE without shell-specific env syntax
+function modeFromArgs() {
+  const flag = process.argv.find(arg => arg === '--replay' || arg === '--record' || arg === '--live');
+  return flag ? flag.slice(2) : null;
+}
+
+const mode = (modeFromArgs() || process.env.NEWS_MODE || 'live').toLowerCase();
+
+module.exports = {
+  enabled,
+  // live: call upstream; record: call upstream and save each response;
+  // replay: serve saved responses only - no network or API keys needed
+  mode,
+  // Recordings go under the data directory unless FIXTURES_DIR says otherwise,
+  // so record mode never overwrites the bundled corpus
+  fixturesDir: process.env.FIXTURES_DIR || (mode === 'record'
+    ? path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'recordings')
+    : path.join(__dirname, '..', 'fixtures', 'replay')),
+  gnews: {
+    apiKey: process.env.GNEWS_API_KEY,
+    dailyBudget: parseInt(process.env.GNEWS_DAILY_BUDGET || process.env.INGEST_DAILY_BUDGET, 10) || 100
+  },
+  newsapi: {
+    apiKey: process.env.NEWSAPI_KEY,
+    // Developer plan allows 100 requests a day
+    dailyBudget: parseInt(process.env.NEWSAPI_DAILY_BUDGET, 10) || 100
+  },
+  rss: {
+    feeds: parseFeeds(),
+    dailyBudget: parseInt(process.env.RSS_DAILY_BUDGET, 10) || 1000
+  }
+};
@@ -0,0 +1,31 @@
+// Relevance scoring settings. Each article scores 0-1 for how much it is about
+// India-Pakistan affairs rather than one country alone or an unrelated topic.
+module.exports = {
+  // Articles scoring below this stay in the feed but are left out of crisis and
+  // priority scoring
+  minScore: parseFloat(process.env.RELEVANCE_MIN_SCORE) || 0.35,
+  // Categories that are never crisis coverage, however often they name both countries
+  excludedCategories: ['sports'],
+  // Share of the score each signal can add
+  weights: {
+    // Both countries involved, by name or through a gazetteer entry on their side
+    countries: 0.4,
+    // The headline names both countries
+    headline: 0.2,
+    // Terms and places that only come up in India-Pakistan affairs (LoC, Indus Waters Treaty)
+    bilateral: 0.25,
+    // People, organizations, militant groups and places from the gazetteers
+    gazetteer: 0.15
+  },
+  // Share of the countries and headline weights earned by naming only one country
+  oneCountryShare: 0.25,
+  // Distinct bilateral terms / gazetteer entries that earn their full weight
+  bilateralSaturation: 2,
+  gazetteerSaturation: 2,
+  bilateralTerms: [
+    'india-pakistan', 'indo-pak*', 'pak-india', 'bilateral', 'cross-border', 'line of control',
+    'loc', 'international border', 'kashmir*', 'pok', 'ajk', 'indus waters treaty', 'attari',
+    'wagah', 'kartarpur', 'simla agreement', 'high commission', 'dgmo*', 'ceasefire', 'truce',
+    'infiltration', 'partition'
+  ]
+};
@@ -0,0 +1,9 @@
+// Analytics history settings
+module.exports = {
+  // One snapshot is kept per interval; later rebuilds in the same interval replace it
+  intervalMinutes: parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES, 10) || 60,
+  // Snapshots older than this are pruned
+  retentionDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS, 10) || 365,
+  // Trending keywords kept in each snapshot
+  topKeywords: 10
+};
@@ -0,0 +1,9 @@
+// Live updates over Server-Sent Events
+module.exports = {
+  // Recent events kept so a reconnecting client can resume from Last-Event-ID
+  bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 500,
+  // Seconds between keep-alive comments, so proxies don't close idle connections
+  heartbeatSeconds: parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25,
+  // Milliseconds the browser waits before reconnecting
+  retryMs: 5000
+};
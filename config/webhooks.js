@@ -0,0 +1,12 @@
+// Outbound webhook delivery settings
+module.exports = {
+  // Attempts per delivery, the first one included, before it is marked failed
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  // Delay before the first retry; doubles per attempt up to the max
+  retryBaseSeconds: parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  retryMaxSeconds: parseFloat(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600,
+  // Milliseconds to wait for a receiver before counting the attempt as failed
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  // How many deliveries to keep in the log
+  maxLogSize: parseInt(process.env.WEBHOOK_LOG_SIZE, 10) || 500
+};
@@ -1,331 +1,789 @@
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
-const sentiment = require('sentiment');
 const moment = require('moment');
 require('dotenv').config();
+const articleStore = require('./lib/articleStore');
+const scheduler = require('./lib/scheduler');
+const providers = require('./lib/providers');
+const { calculateAnalytics } = require('./lib/analytics');
+const { createCache } = require('./lib/cache');
+const { clusterArticles, annotateClusters } = require('./lib/clustering');
+const { applyScope } = require('./lib/relevance');
+const taxonomy = require('./lib/taxonomy');
+const lexicon = require('./lib/lexicon');
+const entities = require('./lib/entities');
+const geo = require('./lib/geo');
+const events = require('./lib/events');
+const sources = require('./lib/sources');
+const feedback = require('./lib/feedback');
+const classifier = require('./lib/classifier');
+const snapshots = require('./lib/snapshots');
+const brief = require('./lib/brief');
+const articleQuery = require('./lib/articleQuery');
+const stream = require('./lib/stream');
+const webhooks = require('./lib/webhooks');
+const alerts = require('./lib/alerts');
+const digests = require('./lib/digests');
+const auth = require('./lib/auth');
+const users = require('./lib/users');
+const cacheConfig = require('./config/cache');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// How many days of stored articles the dashboard and analytics work over
+const HISTORY_DAYS = parseInt(process.env.HISTORY_DAYS, 10) || 7;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Cache for news data to reduce API calls
-let newsCache = {
-  data: null,
-  lastFetched: null,
-};
-
-// Helper function to categorize article
-function categorizeArticle(text) {
-  const categories = {
-    military: [
-      'military', 'army', 'defense', 'weapons', 'troops', 'soldier', 
-      'war', 'combat', 'attack', 'missile', 'security force', 'border', 
-      'terrorist', 'airforce', 'navy', 'artillery', 'ceasefire'
-    ],
-    diplomatic: [
-      'diplomatic', 'talks', 'embassy', 'minister', 'peace', 'treaty',
-      'negotiate', 'relation', 'dialogue', 'summit', 'delegation', 
-      'diplomat', 'foreign', 'agreement', 'bilateral', 'cooperation'
-    ],
-    economic: [
-      'trade', 'sanctions', 'economy', 'business', 'market', 'export',
-      'import', 'investment', 'economic', 'finance', 'commerce',
-      'tariff', 'stock', 'currency', 'inflation', 'gdp', 'fiscal'
-    ],
-    social: [
-      'cultural', 'people', 'society', 'civilian', 'humanitarian',
-      'refugee', 'education', 'health', 'religion', 'festival',
-      'tradition', 'community', 'social', 'public', 'citizen'
-    ]
-  };
+// Answer an auth failure with its status, anything else as a server error
+function sendAuthError(res, err, action) {
+  if (err instanceof auth.AuthError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error('Error details:', err);
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    details: err.message
+  });
+}
 
-  const scores = {
-    military: 0,
-    diplomatic: 0,
-    economic: 0,
-    social: 0
-  };
+// Sign-in methods the login screen can offer
+app.get('/api/auth/providers', (req, res) => {
+  res.json(auth.describe());
+});
 
-  const textLower = text.toLowerCase();
-  
-  // Weight each category based on keyword appearances
-  for (const [category, keywords] of Object.entries(categories)) {
-    scores[category] = keywords.reduce((score, keyword) => {
-      const regex = new RegExp(keyword, 'gi');
-      const matches = textLower.match(regex);
-      return score + (matches ? matches.length : 0);
-    }, 0);
-  }
-  
-  // Find the category with the highest score
-  let maxCategory = 'other';
-  let maxScore = 0;
-  
-  for (const [category, score] of Object.entries(scores)) {
-    if (score > maxScore) {
-      maxScore = score;
-      maxCategory = category;
+// Create an account and sign it in. The first account becomes an admin.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = auth.validateRegistration(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid registration', details: errors });
     }
+    const user = await auth.register(input);
+    const tokens = await auth.issueTokens(user);
+    auth.setPageCookie(req, res, tokens);
+    return res.status(201).json(tokens);
+  } catch (err) {
+    return sendAuthError(res, err, 'register');
   }
-  
-  // If no strong categorization found, return 'other'
-  return maxScore > 0 ? maxCategory : 'other';
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const tokens = await auth.signIn('password', req.body);
+    auth.setPageCookie(req, res, tokens);
+    return res.json(tokens);
+  } catch (err) {
+    return sendAuthError(res, err, 'sign in');
+  }
+});
+
+// Exchange a Firebase ID token for a session, when Firebase sign-in is configured
+app.post('/api/auth/firebase', async (req, res) => {
+  try {
+    const tokens = await auth.signIn('firebase', req.body);
+    auth.setPageCookie(req, res, tokens);
+    return res.json(tokens);
+  } catch (err) {
+    return sendAuthError(res, err, 'sign in');
+  }
+});
+
+// Trade a refresh token for a new access and refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const tokens = await auth.refresh((req.body || {}).refreshToken);
+    auth.setPageCookie(req, res, tokens);
+    return res.json(tokens);
+  } catch (err) {
+    return sendAuthError(res, err, 'refresh session');
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  await auth.logout((req.body || {}).refreshToken);
+  auth.clearPageCookie(res);
+  return res.status(204).end();
+});
+
+// Everything else under /api needs an access token
+app.use('/api', auth.authenticate);
+app.use('/api/webhooks', auth.requireRole('admin'));
+app.use('/api/users', auth.requireRole('admin'));
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Stored articles published since a date with the active classifier and relevance scope applied
+function classifyArticles(since) {
+  return applyScope(classifier.applyClassifier(articleStore.getArticles({ since })));
 }
 
-// Helper function to determine if article is high priority
-function isPriorityArticle(text, category, sentiment) {
-  const highPriorityKeywords = [
-    'attack', 'war', 'missile', 'conflict', 'crisis', 'military', 
-    'border', 'violated', 'threat', 'army', 'defense', 'security',
-    'nuclear', 'weapon', 'terrorism', 'tension', 'dispute'
-  ];
-  
-  const containsHighPriorityKeyword = highPriorityKeywords.some(keyword => 
-    text.toLowerCase().includes(keyword)
-  );
-  
-  return (
-    (category === 'military' && containsHighPriorityKeyword) || 
-    (category === 'diplomatic' && sentiment < -2) ||
-    (containsHighPriorityKeyword && sentiment < -3)
-  );
+// Stored articles published since a date, classified, scoped and grouped into stories
+function loadArticles(since) {
+  const classified = classifyArticles(since);
+  const clusters = clusterArticles(classified);
+  return { articles: annotateClusters(classified, clusters), clusters };
 }
 
-// Calculate analytics from articles
-function calculateAnalytics(articles) {
-  if (!articles || articles.length === 0) {
-    return null;
-  }
-  
-  // Category distribution
-  const categories = {
-    military: articles.filter(a => a.category === 'military').length,
-    diplomatic: articles.filter(a => a.category === 'diplomatic').length,
-    economic: articles.filter(a => a.category === 'economic').length,
-    social: articles.filter(a => a.category === 'social').length,
-    other: articles.filter(a => a.category === 'other').length
-  };
-  
-  // Sentiment distribution
-  const sentimentCounts = {
-    positive: articles.filter(a => a.sentiment > 0).length,
-    neutral: articles.filter(a => a.sentiment === 0).length,
-    negative: articles.filter(a => a.sentiment < 0).length
-  };
-  
-  // Timeline data - group articles by date
-  const byDate = {};
-  articles.forEach(article => {
-    const date = moment(article.publishedAt).format('YYYY-MM-DD');
-    if (!byDate[date]) {
-      byDate[date] = { count: 0, military: 0, diplomatic: 0, economic: 0, social: 0 };
-    }
-    byDate[date].count++;
-    byDate[date][article.category]++;
-  });
-  
-  const timelineData = Object.entries(byDate)
-    .map(([date, data]) => ({ date, ...data }))
-    .sort((a, b) => moment(a.date).diff(moment(b.date)));
-  
-  // Trending keywords
-  const keywords = {};
-  const excludedWords = ['the', 'and', 'of', 'in', 'to', 'a', 'is', 'for', 'on', 'with', 'as', 'at', 'by'];
-  
-  articles.forEach(article => {
-    const text = (article.title + ' ' + article.description).toLowerCase();
-    const words = text.split(/\s+/).filter(word => 
-      word.length > 3 && 
-      !excludedWords.includes(word) && 
-      !/^\d+$/.test(word)
-    );
-    
-    words.forEach(word => {
-      keywords[word] = (keywords[word] || 0) + 1;
-    });
-  });
-  
-  const trendingKeywords = Object.entries(keywords)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([word, count]) => ({ word, count }));
-  
-  // Key insights
-  const mostRecent = [...articles].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))[0];
-  const mostNegative = [...articles].sort((a, b) => a.sentiment - b.sentiment)[0];
-  const mostPositive = [...articles].sort((a, b) => b.sentiment - a.sentiment)[0];
-  
-  // Crisis level
-  const crisisLevel = assessCrisisLevel(articles);
-  
-  // Significant events detection
-  const significantEvents = articles.filter(article => 
-    (article.category === 'military' && article.sentiment < -3) || 
-    (article.category === 'diplomatic' && article.sentiment < -4)
-  ).map(article => ({
-    title: article.title,
-    date: article.publishedAt,
-    category: article.category,
-    sentiment: article.sentiment,
-    source: article.source.name,
-    url: article.url
-  }));
-  
+// The escalation index needs a full window and baseline behind it, which can reach
+// past HISTORY_DAYS. Load as far back as the brief does so both report the same index.
+function escalationHistory(articles) {
+  const lookback = brief.lookbackDays();
+  if (lookback <= HISTORY_DAYS) return articles;
+  return loadArticles(moment().subtract(lookback, 'days')).articles;
+}
+
+// Build the /api/news payload from the stored history window
+function buildNewsResponse() {
+  const { articles, clusters } = loadArticles(moment().subtract(HISTORY_DAYS, 'days'));
+  const analytics = calculateAnalytics(articles, { escalationArticles: escalationHistory(articles) });
   return {
-    categories,
-    sentimentCounts,
-    timelineData,
-    trendingKeywords,
-    keyInsights: {
-      mostRecent: mostRecent ? {
-        title: mostRecent.title,
-        date: mostRecent.publishedAt,
-        source: mostRecent.source.name
-      } : null,
-      mostNegative: mostNegative ? {
-        title: mostNegative.title,
-        sentiment: mostNegative.sentiment,
-        category: mostNegative.category
-      } : null,
-      mostPositive: mostPositive ? {
-        title: mostPositive.title,
-        sentiment: mostPositive.sentiment,
-        category: mostPositive.category
-      } : null
-    },
-    crisisLevel,
-    significantEvents,
-    lastUpdated: new Date()
+    articles,
+    clusters,
+    analytics
   };
 }
 
-// Crisis level assessment
-function assessCrisisLevel(articles) {
-  if (!articles || articles.length === 0) return 'normal';
-  
-  // Count negative military/diplomatic articles in the last 48 hours
-  const recentArticles = articles.filter(a => 
-    moment().diff(moment(a.publishedAt), 'hours') < 48);
-  
-  const negativeMilitaryCount = recentArticles.filter(a => 
-    a.category === 'military' && a.sentiment < -2).length;
-  
-  const negativeDiplomaticCount = recentArticles.filter(a => 
-    a.category === 'diplomatic' && a.sentiment < -2).length;
-  
-  if (negativeMilitaryCount >= 5 || (negativeMilitaryCount + negativeDiplomaticCount) >= 8) {
-    return 'severe';
-  } else if (negativeMilitaryCount >= 3 || (negativeMilitaryCount + negativeDiplomaticCount) >= 5) {
-    return 'elevated';
-  } else if (negativeMilitaryCount >= 1 || negativeDiplomaticCount >= 2) {
-    return 'moderate';
-  }
-  
-  return 'normal';
+// The payload without the timestamps set on every build, so a rebuild that finds
+// nothing new keeps the same ETag
+function newsContent({ analytics, ...payload }) {
+  if (!analytics) return payload;
+  const { lastUpdated, escalation, ...figures } = analytics;
+  const { from, to, ...window } = escalation.window;
+  return { ...payload, analytics: { ...figures, escalation: { ...escalation, window } } };
 }
 
-// News API endpoint
+const newsCache = createCache({
+  load: buildNewsResponse,
+  contentOf: newsContent,
+  ttlMs: cacheConfig.ttlSeconds * 1000,
+  staleMs: cacheConfig.staleSeconds * 1000
+});
+
+// Rebuild the payload after the articles or their labels change and pass it on to
+// the analytics history, live streams, webhooks and saved event ids. Cache refreshes
+// for readers only rebuild, so none of this repeats when nothing has changed.
+function rebuildNews() {
+  return newsCache.refresh()
+    .then(({ value }) => {
+      snapshots.record(value.analytics).catch(err => console.error('Failed to save analytics snapshot:', err.message));
+      stream.publishPayload(value);
+      webhooks.notifyPayload(value);
+      return events.rememberIds(value.analytics.events);
+    })
+    .catch(err => console.error('Failed to rebuild news payload:', err.message));
+}
+
+// Rebuilding after every run, not only when the dashboard asks, keeps the
+// analytics history filling up
+scheduler.events.on('ingested', rebuildNews);
+
+// Check users' alert rules against each run's new articles and push any matches
+// to their owners' live streams
+scheduler.events.on('ingested', ({ added }) => {
+  if (!added.length) return;
+  const recent = classifyArticles(moment().subtract(alerts.maxWindowHours, 'hours'));
+  alerts.evaluate(recent, added.map(article => article.id))
+    .then(matches => matches.forEach(stream.publishAlert))
+    .catch(err => console.error('Failed to evaluate alert rules:', err.message));
+});
+
+// News API endpoint - serves what the ingestion scheduler has stored
 app.get('/api/news', async (req, res) => {
   try {
-    console.log('Checking news cache...');
-    const now = new Date();
-    
-    // // Return cached data if it's less than 15 minutes old
-    // if (newsCache.data && newsCache.lastFetched && 
-    //     (now - newsCache.lastFetched) < 15 * 60 * 1000) {
-    //   console.log('Returning cached news data');
-    //   return res.json(newsCache.data);
-    // }
-    
-    console.log('Fetching fresh news data...');
+    const entry = await newsCache.get();
     
-    // Use GNews API (free tier available)
-    const apiKey = process.env.GNEWS_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: 'API key not configured' });
+    if (!entry.value.articles.length && !providers.activeProviders().length) {
+      return res.status(500).json({ error: 'No news provider configured' });
     }
     
-    // Add timestamp to ensure fresh data
-    const timestamp = new Date().getTime();
-    
-    // Create multiple queries to get diverse news
-    const queries = [
-      'India Pakistan conflict',
-      'India Pakistan relations',
-      'India Pakistan border',
-      'India Pakistan Kashmir',
-      'India Pakistan trade',
-      'India Pakistan cricket',
-      'India Pakistan diplomacy'
-    ];
-    
-    // Randomly select a query to get different news each time
-    const randomQuery = queries[Math.floor(Math.random() * queries.length)];
-    
-    const url = `https://gnews.io/api/v4/search?q=${encodeURIComponent(randomQuery)}&lang=en&max=40&token=${apiKey}&t=${timestamp}&sortby=publishedAt`;
-    console.log('Fetching news with query:', randomQuery);
-    
-    const response = await fetch(url);
-    const data = await response.json();
-    console.log(data);
+    res.set({
+      'ETag': entry.etag,
+      'Last-Modified': entry.lastModified.toUTCString(),
+      // Clients always revalidate; unchanged data costs them a 304
+      'Cache-Control': 'no-cache',
+      'X-Cache': newsCache.isStale() ? 'STALE' : 'HIT'
+    });
     
-    if (!data.articles) {
-      console.error('No articles in API response:', data);
-      return res.status(500).json({ error: 'Invalid API response' });
+    // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+    if (req.fresh) {
+      return res.status(304).end();
     }
     
-    // Process and analyze articles
-    const sentimentAnalyzer = new sentiment();
-    const processedArticles = data.articles.map(article => {
-      const description = article.description || '';
-      const textToAnalyze = article.title + ' ' + description;
-      const sentimentScore = sentimentAnalyzer.analyze(textToAnalyze);
-      const category = categorizeArticle(textToAnalyze);
-      
-      return {
-        ...article,
-        urlToImage: article.image,
-        publishedAt: article.publishedAt,
-        sentiment: sentimentScore.score,
-        sentimentDetail: {
-          score: sentimentScore.score,
-          comparative: sentimentScore.comparative,
-          positive: sentimentScore.positive,
-          negative: sentimentScore.negative
-        },
-        category,
-        isPriority: isPriorityArticle(textToAnalyze, category, sentimentScore.score)
-      };
+    return res.type('json').send(entry.body);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({ 
+      error: 'Failed to load news data',
+      details: err.message
     });
+  }
+});
+
+// Live updates as Server-Sent Events: 'articles' (new articles and their stories),
+// 'crisis' (level changes), 'analytics' (changed fields) and the user's own 'alert'
+// matches. EventSource resends Last-Event-ID when it reconnects; ?lastEventId= does
+// the same for a fresh connection. EventSource can't set headers, so the access
+// token comes as ?access_token=.
+app.get('/api/stream', (req, res) => {
+  stream.subscribe(req, res, req.get('Last-Event-ID') || req.query.lastEventId, req.user.id);
+});
+
+// Story clusters with their member articles
+app.get('/api/clusters', async (req, res) => {
+  try {
+    const { value } = await newsCache.get();
+    const byId = {};
+    value.articles.forEach(article => {
+      byId[article.id] = article;
+    });
+    
+    const minSources = parseInt(req.query.minSources, 10) || 1;
+    const clusters = value.clusters
+      .filter(cluster => cluster.sourceCount >= minSources)
+      .map(cluster => ({
+        ...cluster,
+        articles: cluster.articleIds.map(id => byId[id]).filter(Boolean)
+      }));
     
-    const analytics = calculateAnalytics(processedArticles);
-    const processedResponse = {
-      articles: processedArticles,
-      analytics: analytics
+    return res.json({ clusters });
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({ 
+      error: 'Failed to load story clusters',
+      details: err.message
+    });
+  }
+});
+
+const BARE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// from/to query parameters as moments; to defaults to now and from to defaultFrom(to).
+// A bare date as the end of the range includes that whole day.
+function parseRange(query, defaultFrom) {
+  const to = query.to ? moment(query.to, moment.ISO_8601, true) : moment();
+  const from = query.from ? moment(query.from, moment.ISO_8601, true) : defaultFrom(to);
+  if (!from.isValid() || !to.isValid()) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  if (BARE_DATE.test(query.to || '')) to.endOf('day');
+  if (from.isAfter(to)) {
+    return { error: 'from must be before to' };
+  }
+  return { from, to };
+}
+
+// Analytics snapshots over time, e.g. ?from=2025-05-01&to=2025-06-01&granularity=week.
+// Defaults to the last 12 weeks by day.
+app.get('/api/analytics/history', (req, res) => {
+  const granularity = req.query.granularity || 'day';
+  if (!snapshots.GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${snapshots.GRANULARITIES.join(', ')}` });
+  }
+  
+  const { from, to, error } = parseRange(req.query, to => moment(to).subtract(12, 'weeks'));
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    return res.json(snapshots.getHistory({ from, to, granularity }));
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({ 
+      error: 'Failed to load analytics history',
+      details: err.message
+    });
+  }
+});
+
+// Range for a situation brief: one calendar day (the :date path segment or ?date=,
+// default today) or an explicit ?from=&to= of up to 31 days
+function briefRange(req) {
+  const date = req.params.date || req.query.date;
+  if (date || !(req.query.from || req.query.to)) {
+    const day = date ? moment(date, 'YYYY-MM-DD', true) : moment();
+    if (!day.isValid()) {
+      return { error: 'date must be YYYY-MM-DD' };
+    }
+    return {
+      date: day.format('YYYY-MM-DD'),
+      from: moment(day).startOf('day'),
+      to: moment.min(moment(day).endOf('day'), moment())
     };
+  }
+  const range = parseRange(req.query, to => moment(to).startOf('day'));
+  if (!range.error && range.to.diff(range.from, 'days') > 31) {
+    return { error: 'A brief covers at most 31 days' };
+  }
+  return range;
+}
+
+function buildBriefFor(range) {
+  const { articles, clusters } = loadArticles(moment(range.from).subtract(brief.lookbackDays(), 'days'));
+  return brief.buildBrief({ articles, clusters, from: range.from, to: range.to, date: range.date });
+}
+
+// Daily situation brief as JSON; /api/brief/2025-05-12 is the stable URL for a day
+app.get(['/api/brief', '/api/brief/:date'], (req, res) => {
+  const range = briefRange(req);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  try {
+    return res.json(buildBriefFor(range));
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({ 
+      error: 'Failed to build situation brief',
+      details: err.message
+    });
+  }
+});
+
+// The same brief as a printable page, e.g. /brief/2025-05-12. Signed-in browsers
+// carry the page cookie, so the URL can be bookmarked and shared as is.
+app.get(['/brief', '/brief/:date'], auth.authenticatePage, (req, res) => {
+  const range = briefRange(req);
+  if (range.error) {
+    return res.status(400).type('text').send(range.error);
+  }
+  try {
+    return res.type('html').send(brief.renderBriefHtml(buildBriefFor(range)));
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).type('text').send(`Failed to build situation brief: ${err.message}`);
+  }
+});
+
+// Email digests: a signed-in user subscribes an address, which gets a confirmation
+// link; every digest carries an unsubscribe link. The links hold a token, so
+// following them needs no login.
+app.post('/api/digests/subscriptions', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = digests.validate(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid subscription', details: errors });
+    }
+    const status = await digests.subscribe(input);
+    return res.status(202).json({
+      status,
+      message: status === 'active'
+        ? 'This address already gets that digest'
+        : 'Check your inbox for a link to confirm the subscription'
+    });
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to send confirmation email',
+      details: err.message
+    });
+  }
+});
+
+app.get('/digests/confirm', async (req, res) => {
+  const subscription = await digests.confirm(req.query.token);
+  if (!subscription) {
+    return res.status(404).type('html').send(digests.renderNotice('Link not valid',
+      'This confirmation link is not valid, or the subscription was cancelled. Subscribe again from the dashboard.'));
+  }
+  return res.type('html').send(digests.renderNotice('Subscription confirmed',
+    `${subscription.email} will get the ${subscription.frequency} digest.`));
+});
+
+function unsubscribeNotFound(res) {
+  return res.status(404).type('html').send(digests.renderNotice('Already unsubscribed',
+    'This unsubscribe link is not valid, or the address was already unsubscribed.'));
+}
+
+// The link in the email only asks: mail scanners and link previews open links, and
+// must not unsubscribe anyone by doing so
+app.get('/digests/unsubscribe', (req, res) => {
+  const subscription = digests.findUnsubscribe(req.query.token);
+  if (!subscription) return unsubscribeNotFound(res);
+  return res.type('html').send(digests.renderNotice('Unsubscribe?',
+    `Stop sending the ${subscription.frequency} digest to ${subscription.email}?`,
+    { label: 'Unsubscribe', action: `/digests/unsubscribe?token=${encodeURIComponent(req.query.token)}` }));
+});
+
+// The button on that page, or a mail client's one-click unsubscribe (RFC 8058)
+app.post('/digests/unsubscribe', async (req, res) => {
+  const subscription = await digests.unsubscribe(req.query.token);
+  if (!subscription) return unsubscribeNotFound(res);
+  return res.type('html').send(digests.renderNotice('Unsubscribed',
+    `${subscription.email} will no longer get the ${subscription.frequency} digest.`));
+});
+
+function digestFrequency(req, res) {
+  const { frequency } = req.params;
+  if (!digests.FREQUENCIES[frequency]) {
+    res.status(404).json({ error: `Unknown digest; expected one of: ${Object.keys(digests.FREQUENCIES).join(', ')}` });
+    return null;
+  }
+  return frequency;
+}
+
+// Preview the digest that would go out now, as JSON or as the email (?format=html|text)
+app.get('/api/digests/:frequency', async (req, res) => {
+  const frequency = digestFrequency(req, res);
+  if (!frequency) return;
+  try {
+    const digest = digests.buildDigest((await newsCache.get()).value, frequency);
+    if (req.query.format === 'html') return res.type('html').send(digests.renderDigestHtml(digest));
+    if (req.query.format === 'text') return res.type('text').send(digests.renderDigestText(digest));
+    return res.json(digest);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to build digest',
+      details: err.message
+    });
+  }
+});
+
+// Send a digest to its subscribers now, outside the schedule
+app.post('/api/digests/:frequency/send', auth.requireRole('admin'), async (req, res) => {
+  const frequency = digestFrequency(req, res);
+  if (!frequency) return;
+  try {
+    const sent = await digests.sendDigest(frequency, (await newsCache.get()).value);
+    return res.json({ frequency, sent });
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to send digest',
+      details: err.message
+    });
+  }
+});
+
+// Search and filter stored articles a page at a time, e.g.
+// ?q=ceasefire&category=military,diplomatic&sentimentMax=0&from=2025-05-01&limit=20.
+// Follow nextCursor for the next page; facets hold counts for the filter UI.
+app.get('/api/articles', (req, res) => {
+  const { params, errors = [] } = articleQuery.parse(req.query);
+  const range = parseRange(req.query, () => moment(0));
+  if (range.error) errors.push(range.error);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+  }
+  
+  try {
+    // Only explicit bounds take part in the query, so a cursor outlives "now"
+    if (req.query.from) params.from = range.from;
+    if (req.query.to) params.to = range.to;
+    const result = articleQuery.query(classifyArticles(params.from), params);
+    if (result.error) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: [result.error] });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({ 
+      error: 'Failed to query articles',
+      details: err.message
+    });
+  }
+});
+
+// Category taxonomy that drives classification, filters and charts
+app.get('/api/taxonomy', (req, res) => {
+  res.json(taxonomy.describe());
+});
+
+// Entity gazetteer used for extraction, with its entity types
+app.get('/api/entities', (req, res) => {
+  res.json(entities.describe());
+});
+
+// Place gazetteer used for geotagging, with coordinates
+app.get('/api/places', (req, res) => {
+  res.json(geo.describe());
+});
+
+// Event types extracted from coverage for the Situation tab's event log
+app.get('/api/event-types', (req, res) => {
+  res.json(events.describe());
+});
+
+// Source registry: outlets by country, type and perspective
+app.get('/api/sources', (req, res) => {
+  res.json(sources.describe());
+});
+
+// Sentiment lexicon overlay in use
+app.get('/api/lexicon', (req, res) => {
+  res.json(lexicon.describe());
+});
+
+// Score arbitrary text with the current lexicon, showing which terms contributed
+app.post('/api/lexicon/analyze', (req, res) => {
+  const text = req.body && req.body.text;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text must be a non-empty string' });
+  }
+  return res.json(lexicon.analyze(text));
+});
+
+// Analyst relabeling - the label overrides both classifiers and trains the model
+app.put('/api/articles/:id/label', auth.requireRole('analyst'), async (req, res) => {
+  try {
+    const article = articleStore.getArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
     
-    // Update cache
-    newsCache.data = processedResponse;
-    newsCache.lastFetched = now;
+    const { category, isPriority } = req.body || {};
+    const validCategories = [...taxonomy.categoryIds(), 'other'];
+    if (category === undefined && isPriority === undefined) {
+      return res.status(400).json({ error: 'Provide category and/or isPriority' });
+    }
+    if (category !== undefined && !validCategories.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${validCategories.join(', ')}` });
+    }
+    if (isPriority !== undefined && typeof isPriority !== 'boolean') {
+      return res.status(400).json({ error: 'isPriority must be a boolean' });
+    }
     
-    console.log(`Successfully fetched ${processedArticles.length} articles`);
-    return res.json(processedResponse);
+    const label = await feedback.setLabel(article, { category, isPriority, labeledBy: req.user.email });
+    classifier.train();
+    rebuildNews();
+    return res.json({ label, classifier: classifier.getStatus() });
   } catch (err) {
     console.error('Error details:', err);
     return res.status(500).json({ 
-      error: 'Failed to fetch news data',
+      error: 'Failed to save label',
+      details: err.message
+    });
+  }
+});
+
+app.delete('/api/articles/:id/label', auth.requireRole('analyst'), async (req, res) => {
+  const removed = await feedback.removeLabel(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Label not found' });
+  }
+  classifier.train();
+  rebuildNews();
+  return res.status(204).end();
+});
+
+// Classifier status, accuracy against the labeled set, and which one drives the dashboard
+app.get('/api/classifier', (req, res) => {
+  res.json(classifier.getStatus());
+});
+
+app.put('/api/classifier/mode', auth.requireRole('analyst'), async (req, res) => {
+  const { mode } = req.body || {};
+  if (!['rules', 'model'].includes(mode)) {
+    return res.status(400).json({ error: "mode must be 'rules' or 'model'" });
+  }
+  await feedback.setMode(mode);
+  rebuildNews();
+  return res.json(classifier.getStatus());
+});
+
+// Outbound webhooks for priority articles, crisis level changes and significant events
+app.get('/api/webhooks', (req, res) => {
+  res.json({ webhooks: webhooks.listWebhooks(), ...webhooks.describe() });
+});
+
+// The secret is only returned here, when the webhook is created
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = webhooks.validate(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    return res.status(201).json(await webhooks.createWebhook(input));
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to save webhook',
+      details: err.message
+    });
+  }
+});
+
+app.get('/api/webhooks/:id', (req, res) => {
+  const webhook = webhooks.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  return res.json(webhook);
+});
+
+app.put('/api/webhooks/:id', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = webhooks.validate(input, true);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    const webhook = await webhooks.updateWebhook(req.params.id, input);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    return res.json(webhook);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to save webhook',
+      details: err.message
+    });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  const removed = await webhooks.removeWebhook(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  return res.status(204).end();
+});
+
+// Send a 'test' delivery now and return it with the outcome of its first attempt
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  const delivery = await webhooks.sendTest(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  return res.json(delivery);
+});
+
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+  if (!webhooks.getWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  return res.json({ deliveries: webhooks.getDeliveries({ webhookId: req.params.id, limit }) });
+});
+
+// Alert rules belong to the signed-in user and are checked against every ingested article
+app.get('/api/alert-rules', (req, res) => {
+  const userId = req.user.id;
+  res.json({ rules: alerts.listRules(userId), maxWindowHours: alerts.maxWindowHours });
+});
+
+app.post('/api/alert-rules', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const input = req.body || {};
+    const errors = alerts.validate(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+    const result = await alerts.createRule(userId, input);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+    }
+    return res.status(201).json(result.rule);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to save alert rule',
       details: err.message
     });
   }
 });
 
+app.put('/api/alert-rules/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const input = req.body || {};
+    const errors = alerts.validate(input, true);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+    const result = await alerts.updateRule(userId, req.params.id, input);
+    if (!result) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+    }
+    return res.json(result.rule);
+  } catch (err) {
+    console.error('Error details:', err);
+    return res.status(500).json({
+      error: 'Failed to save alert rule',
+      details: err.message
+    });
+  }
+});
+
+app.delete('/api/alert-rules/:id', async (req, res) => {
+  const userId = req.user.id;
+  const removed = await alerts.removeRule(userId, req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  return res.status(204).end();
+});
+
+// Recent matches of the user's rules, newest first; ?ruleId= narrows to one rule
+app.get('/api/alert-matches', (req, res) => {
+  const userId = req.user.id;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json({ matches: alerts.getMatches(userId, { ruleId: req.query.ruleId, limit }) });
+});
+
+// Accounts and their roles (admin only)
+app.get('/api/users', (req, res) => {
+  res.json({ users: users.listUsers(), roles: auth.roles });
+});
+
+app.put('/api/users/:id', async (req, res) => {
+  const { role } = req.body || {};
+  if (!auth.roles.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${auth.roles.join(', ')}` });
+  }
+  if (req.params.id === req.user.id && role !== 'admin') {
+    return res.status(400).json({ error: "You can't remove your own admin role" });
+  }
+  const user = await users.setRole(req.params.id, role);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  return res.json(users.publicUser(user));
+});
+
+app.delete('/api/users/:id', async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: "You can't remove your own account" });
+  }
+  const removed = await users.removeUser(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  return res.status(204).end();
+});
+
+// Ingestion scheduler status and run history
+app.get('/api/ingest/status', (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
+app.get('/api/ingest/runs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json({ runs: scheduler.getRuns({ limit }) });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
-  console.log('GNews API Key status:', process.env.GNEWS_API_KEY ? 'Present' : 'Missing');
+  console.log('News providers:', providers.activeProviders().map(p => p.name).join(', ') || 'none configured');
+  scheduler.start();
+  webhooks.resume();
+  // The first digest check waits for the first ingestion pass, so a restart never
+  // sends a digest built before the store has caught up
+  scheduler.events.once('pass', () => digests.start(() => newsCache.get().then(entry => entry.value)));
 });
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const config = require('../config/alerts');
+const taxonomy = require('./taxonomy');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const ALERTS_FILE = dataPath('alerts.json');
+const writeAlerts = createWriter(ALERTS_FILE);
+
+const KEYWORD_MODES = ['any', 'all'];
+const LIST_FIELDS = ['keywords', 'categories', 'sources'];
+
+// Rules keyed by id, each with its owner, plus the match history newest first
+let store = null;
+
+function load() {
+  if (!store) {
+    store = readJson(ALERTS_FILE, {});
+    store.rules = store.rules || {};
+    store.matches = store.matches || [];
+  }
+  return store;
+}
+
+function save() {
+  const current = load();
+  current.matches = current.matches.slice(0, config.maxMatchHistory);
+  return writeAlerts(current);
+}
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+function isNumberOrNull(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+// Problems with a rule create (every field checked) or update (only fields given).
+// A rule needs at least one condition, or it would match every article.
+function validate(input, partial) {
+  const errors = [];
+  const has = field => input[field] !== undefined;
+  const validCategories = [...taxonomy.categoryIds(), 'other'];
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name must be a non-empty string');
+  }
+  LIST_FIELDS.filter(has).forEach(field => {
+    if (!isStringList(input[field])) errors.push(`${field} must be a list of non-empty strings`);
+  });
+  if (has('categories') && isStringList(input.categories)) {
+    input.categories.filter(id => !validCategories.includes(id)).forEach(id => {
+      errors.push(`Unknown category '${id}'; expected one of: ${validCategories.join(', ')}`);
+    });
+  }
+  if (has('keywordMode') && !KEYWORD_MODES.includes(input.keywordMode)) {
+    errors.push(`keywordMode must be one of: ${KEYWORD_MODES.join(', ')}`);
+  }
+  ['sentimentMin', 'sentimentMax'].filter(has).forEach(field => {
+    if (!isNumberOrNull(input[field])) errors.push(`${field} must be a number or null`);
+  });
+  if (has('minCount') && (!Number.isInteger(input.minCount) || input.minCount < 1)) {
+    errors.push('minCount must be a whole number of at least 1');
+  }
+  if (has('windowHours') &&
+      (typeof input.windowHours !== 'number' || input.windowHours <= 0 || input.windowHours > config.maxWindowHours)) {
+    errors.push(`windowHours must be a number above 0 and at most ${config.maxWindowHours}`);
+  }
+  if (has('enabled') && typeof input.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  return errors;
+}
+
+function hasCondition(rule) {
+  return LIST_FIELDS.some(field => rule[field].length) ||
+    rule.sentimentMin !== null || rule.sentimentMax !== null;
+}
+
+// Apply the given fields over a rule, trimming and de-duplicating lists
+function assign(rule, input) {
+  LIST_FIELDS.forEach(field => {
+    if (input[field] !== undefined) rule[field] = [...new Set(input[field].map(item => item.trim()))];
+  });
+  ['keywordMode', 'sentimentMin', 'sentimentMax', 'minCount', 'windowHours', 'enabled'].forEach(field => {
+    if (input[field] !== undefined) rule[field] = input[field];
+  });
+  if (input.name !== undefined) rule.name = input.name.trim();
+  return rule;
+}
+
+function listRules(owner) {
+  return Object.values(load().rules)
+    .filter(rule => rule.owner === owner)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getRule(owner, id) {
+  const rule = load().rules[id];
+  return rule && rule.owner === owner ? rule : null;
+}
+
+// Add a rule for a user from validated input. Returns { rule } or { errors }.
+async function createRule(owner, input) {
+  if (listRules(owner).length >= config.maxRulesPerUser) {
+    return { errors: [`You can keep at most ${config.maxRulesPerUser} rules`] };
+  }
+  const now = new Date().toISOString();
+  const rule = assign({
+    id: newId(),
+    owner,
+    name: '',
+    keywords: [],
+    keywordMode: 'any',
+    categories: [],
+    sentimentMin: null,
+    sentimentMax: null,
+    sources: [],
+    minCount: 1,
+    windowHours: 24,
+    enabled: true,
+    createdAt: now,
+    updatedAt: now
+  }, input);
+  if (!hasCondition(rule)) {
+    return { errors: ['Give at least one of keywords, categories, sentimentMin, sentimentMax or sources'] };
+  }
+  load().rules[rule.id] = rule;
+  await save();
+  return { rule };
+}
+
+// Returns { rule }, { errors }, or null when the user has no such rule
+async function updateRule(owner, id, input) {
+  const rule = getRule(owner, id);
+  if (!rule) return null;
+  const updated = assign({ ...rule }, input);
+  if (!hasCondition(updated)) {
+    return { errors: ['Give at least one of keywords, categories, sentimentMin, sentimentMax or sources'] };
+  }
+  updated.updatedAt = new Date().toISOString();
+  load().rules[id] = updated;
+  await save();
+  return { rule: updated };
+}
+
+async function removeRule(owner, id) {
+  if (!getRule(owner, id)) return false;
+  delete load().rules[id];
+  await save();
+  return true;
+}
+
+function getMatches(owner, { ruleId, limit = 50 } = {}) {
+  return load().matches
+    .filter(match => match.owner === owner && (!ruleId || match.ruleId === ruleId))
+    .slice(0, limit);
+}
+
+// Every label an article carries, primary first
+function labelsOf(article) {
+  return [article.category, ...(article.categories || []).map(c => c.id)];
+}
+
+function sourceNames(article) {
+  const outlet = article.outlet || {};
+  return [outlet.id, outlet.name, article.source && article.source.name]
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+}
+
+// A predicate for one rule: every condition it sets must hold. Keywords and
+// phrases match whole words, with a trailing * for any ending.
+function compileRule(rule) {
+  const patterns = rule.keywords.map(keyword => new RegExp(taxonomy.keywordPattern(keyword.toLowerCase()).source));
+  const sources = rule.sources.map(source => source.toLowerCase());
+
+  return article => {
+    if (patterns.length) {
+      const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
+      const found = patterns.filter(pattern => pattern.test(text)).length;
+      if (rule.keywordMode === 'all' ? found < patterns.length : found === 0) return false;
+    }
+    if (rule.categories.length && !labelsOf(article).some(id => rule.categories.includes(id))) return false;
+    if (rule.sentimentMin !== null && article.sentiment < rule.sentimentMin) return false;
+    if (rule.sentimentMax !== null && article.sentiment > rule.sentimentMax) return false;
+    if (sources.length && !sourceNames(article).some(name => sources.includes(name))) return false;
+    return true;
+  };
+}
+
+function articleSummary(article) {
+  return {
+    id: article.id,
+    title: article.title,
+    url: article.url,
+    source: article.source && article.source.name,
+    publishedAt: article.publishedAt,
+    category: article.category,
+    sentiment: article.sentiment
+  };
+}
+
+// Check every enabled rule against newly ingested articles. recent holds the
+// classified articles from the last maxWindowHours (the new ones included), so a
+// rule's minimum count can take in earlier articles. An article only counts toward
+// one match per rule. Returns the new matches, already recorded.
+async function evaluate(recent, addedIds) {
+  const added = new Set(addedIds);
+  const now = moment();
+  const matches = [];
+
+  Object.values(load().rules)
+    .filter(rule => rule.enabled)
+    .forEach(rule => {
+      const test = compileRule(rule);
+      if (!recent.some(article => added.has(article.id) && test(article))) return;
+
+      const alerted = new Set(load().matches
+        .filter(match => match.ruleId === rule.id)
+        .flatMap(match => match.articleIds));
+      const since = now.clone().subtract(rule.windowHours, 'hours');
+      const candidates = recent
+        .filter(article => !alerted.has(article.id) && moment(article.publishedAt).isAfter(since) && test(article))
+        .sort((a, b) => moment(b.publishedAt).diff(moment(a.publishedAt)));
+      if (candidates.length < rule.minCount) return;
+
+      matches.push({
+        id: newId(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        owner: rule.owner,
+        firedAt: now.toISOString(),
+        count: candidates.length,
+        windowHours: rule.windowHours,
+        articleIds: candidates.map(article => article.id),
+        articles: candidates.slice(0, config.articlesPerMatch).map(articleSummary)
+      });
+    });
+
+  if (matches.length) {
+    load().matches.unshift(...matches);
+    await save();
+  }
+  return matches;
+}
+
+module.exports = {
+  maxWindowHours: config.maxWindowHours,
+  validate,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  removeRule,
+  getMatches,
+  evaluate
+};
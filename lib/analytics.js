@@ -0,0 +1,339 @@
+const moment = require('moment');
+const taxonomy = require('./taxonomy');
+const sources = require('./sources');
+const { computeEscalation } = require('./escalation');
+const keywords = require('./keywords');
+const { detectAnomalies } = require('./anomalies');
+const { extractEvents } = require('./events');
+const { isInScope } = require('./relevance');
+
+// Whether an article carries a label, as its primary category or a secondary one
+function hasCategory(article, id) {
+  return article.category === id ||
+    (article.categories || []).some(label => label.id === id);
+}
+
+const TOP_ENTITIES = 15;
+const TOP_CO_MENTIONS = 20;
+
+// Who and what drives coverage: the most-reported entities, the average sentiment
+// of the articles naming them, and which of them are named together
+function entityAnalytics(articles) {
+  const stats = {};
+  articles.forEach(article => {
+    (article.entities || []).forEach(entity => {
+      if (!stats[entity.id]) {
+        stats[entity.id] = {
+          id: entity.id,
+          name: entity.name,
+          type: entity.type,
+          articles: 0,
+          mentions: 0,
+          storyIds: new Set(),
+          sentimentTotal: 0,
+          positive: 0,
+          neutral: 0,
+          negative: 0
+        };
+      }
+      const entry = stats[entity.id];
+      entry.articles++;
+      entry.mentions += entity.mentions || 1;
+      entry.storyIds.add(article.clusterId || article.id);
+      entry.sentimentTotal += article.sentiment;
+      if (article.sentiment > 0) entry.positive++;
+      else if (article.sentiment < 0) entry.negative++;
+      else entry.neutral++;
+    });
+  });
+
+  const top = Object.values(stats)
+    .sort((a, b) => b.articles - a.articles || b.mentions - a.mentions)
+    .slice(0, TOP_ENTITIES);
+  const topIds = new Set(top.map(entry => entry.id));
+  const names = {};
+  top.forEach(entry => {
+    names[entry.id] = entry.name;
+  });
+
+  // Pairs of top entities named in the same article
+  const pairs = {};
+  articles.forEach(article => {
+    const ids = [...new Set((article.entities || []).map(e => e.id))]
+      .filter(id => topIds.has(id))
+      .sort();
+    ids.forEach((a, i) => {
+      ids.slice(i + 1).forEach(b => {
+        const key = `${a}|${b}`;
+        pairs[key] = (pairs[key] || 0) + 1;
+      });
+    });
+  });
+
+  return {
+    topEntities: top.map(({ id, name, type, articles: count, mentions, storyIds }) => ({
+      id, name, type, articles: count, stories: storyIds.size, mentions
+    })),
+    entitySentiment: top.map(({ id, name, type, articles: count, sentimentTotal, positive, neutral, negative }) => ({
+      id,
+      name,
+      type,
+      averageSentiment: Math.round((sentimentTotal / count) * 100) / 100,
+      positive,
+      neutral,
+      negative
+    })),
+    entityCoMentions: Object.entries(pairs)
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_CO_MENTIONS)
+      .map(([key, count]) => {
+        const [source, target] = key.split('|');
+        return { source, sourceName: names[source], target, targetName: names[target], count };
+      })
+  };
+}
+
+const TOP_SHARED_STORIES = 10;
+
+// An article's perspective, or 'unknown' when it has none or the registry has
+// since dropped the one it was attributed to
+function perspectiveOf(article, perspectiveIds) {
+  const perspective = article.outlet && article.outlet.perspective;
+  return perspectiveIds.has(perspective) ? perspective : 'unknown';
+}
+
+function averageSentiment(articles) {
+  if (!articles.length) return null;
+  return Math.round((articles.reduce((sum, a) => sum + a.sentiment, 0) / articles.length) * 100) / 100;
+}
+
+// How Indian, Pakistani and international outlets cover the conflict: volume,
+// sentiment and category mix per perspective, over time, and for the same stories
+function perspectiveAnalytics(articles, categoryIds) {
+  const perspectives = sources.perspectives();
+  const perspectiveIds = new Set(perspectives.map(p => p.id));
+  const byPerspective = {};
+  perspectives.forEach(p => {
+    byPerspective[p.id] = [];
+  });
+  articles.forEach(article => {
+    byPerspective[perspectiveOf(article, perspectiveIds)].push(article);
+  });
+
+  const summary = {};
+  perspectives.forEach(({ id }) => {
+    const group = byPerspective[id];
+    const categories = {};
+    categoryIds.forEach(categoryId => {
+      categories[categoryId] = group.filter(a => a.category === categoryId).length;
+    });
+    summary[id] = {
+      articles: group.length,
+      stories: new Set(group.map(a => a.clusterId || a.id)).size,
+      outlets: [...new Set(group.map(a => a.outlet && a.outlet.name).filter(Boolean))],
+      averageSentiment: averageSentiment(group),
+      sentimentCounts: {
+        positive: group.filter(a => a.sentiment > 0).length,
+        neutral: group.filter(a => a.sentiment === 0).length,
+        negative: group.filter(a => a.sentiment < 0).length
+      },
+      categories,
+      priority: group.filter(a => a.isPriority).length
+    };
+  });
+
+  const byDate = {};
+  articles.forEach(article => {
+    const date = moment(article.publishedAt).format('YYYY-MM-DD');
+    if (!byDate[date]) {
+      byDate[date] = {};
+      perspectives.forEach(p => {
+        byDate[date][p.id] = 0;
+      });
+    }
+    byDate[date][perspectiveOf(article, perspectiveIds)]++;
+  });
+  const timeline = Object.entries(byDate)
+    .map(([date, counts]) => ({ date, ...counts }))
+    .sort((a, b) => moment(a.date).diff(moment(b.date)));
+
+  // Stories reported by more than one attributed perspective, side by side
+  const byStory = {};
+  articles.forEach(article => {
+    const storyId = article.clusterId || article.id;
+    if (!byStory[storyId]) byStory[storyId] = [];
+    byStory[storyId].push(article);
+  });
+  const sharedStories = Object.entries(byStory)
+    .map(([storyId, members]) => {
+      const sorted = [...members].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+      const coverage = {};
+      sorted.forEach(article => {
+        const perspective = perspectiveOf(article, perspectiveIds);
+        if (perspective === 'unknown') return;
+        if (!coverage[perspective]) coverage[perspective] = [];
+        coverage[perspective].push(article);
+      });
+      return { storyId, sorted, coverage };
+    })
+    .filter(({ coverage }) => Object.keys(coverage).length >= 2)
+    .sort((a, b) =>
+      Object.keys(b.coverage).length - Object.keys(a.coverage).length ||
+      new Date(b.sorted[b.sorted.length - 1].publishedAt) - new Date(a.sorted[a.sorted.length - 1].publishedAt))
+    .slice(0, TOP_SHARED_STORIES)
+    .map(({ storyId, sorted, coverage }) => {
+      const framing = {};
+      Object.entries(coverage).forEach(([perspective, group]) => {
+        framing[perspective] = {
+          articles: group.length,
+          averageSentiment: averageSentiment(group),
+          headline: group[0].title,
+          url: group[0].url,
+          outlets: [...new Set(group.map(a => a.outlet && a.outlet.name).filter(Boolean))]
+        };
+      });
+      return {
+        storyId,
+        headline: sorted[0].title,
+        firstPublishedAt: sorted[0].publishedAt,
+        perspectives: framing
+      };
+    });
+
+  return { perspectives, summary, timeline, sharedStories };
+}
+
+// Calculate analytics from articles. The escalation index looks further back than
+// the other figures, so it can be given a longer history (escalationArticles).
+function calculateAnalytics(articles, { escalationArticles = articles } = {}) {
+  if (!articles || articles.length === 0) {
+    return null;
+  }
+  
+  // Category distribution by primary category, in taxonomy order
+  const categoryIds = [...taxonomy.categoryIds(), 'other'];
+  const categories = {};
+  categoryIds.forEach(id => {
+    categories[id] = articles.filter(a => a.category === id).length;
+  });
+  
+  // Every label an article carries, so secondary topics are visible too
+  const categoryLabels = {};
+  categoryIds.forEach(id => {
+    categoryLabels[id] = articles.filter(a => hasCategory(a, id)).length;
+  });
+  
+  // Story counts - each cluster of reports on one incident counts once
+  const storyCategories = {};
+  Object.keys(categories).forEach(category => {
+    storyCategories[category] = new Set(
+      articles.filter(a => a.category === category).map(a => a.clusterId || a.id)
+    ).size;
+  });
+  const stories = {
+    total: new Set(articles.map(a => a.clusterId || a.id)).size,
+    categories: storyCategories
+  };
+  
+  // Articles kept out of crisis and priority scoring
+  const relevance = {
+    inScope: articles.filter(isInScope).length,
+    offTopic: articles.filter(a => !isInScope(a)).length
+  };
+  
+  // Sentiment distribution
+  const sentimentCounts = {
+    positive: articles.filter(a => a.sentiment > 0).length,
+    neutral: articles.filter(a => a.sentiment === 0).length,
+    negative: articles.filter(a => a.sentiment < 0).length
+  };
+  
+  // Timeline data - group articles by date
+  const byDate = {};
+  articles.forEach(article => {
+    const date = moment(article.publishedAt).format('YYYY-MM-DD');
+    if (!byDate[date]) {
+      byDate[date] = { count: 0 };
+      categoryIds.forEach(id => {
+        byDate[date][id] = 0;
+      });
+    }
+    byDate[date].count++;
+    byDate[date][article.category] = (byDate[date][article.category] || 0) + 1;
+  });
+  
+  const timelineData = Object.entries(byDate)
+    .map(([date, data]) => ({ date, ...data }))
+    .sort((a, b) => moment(a.date).diff(moment(b.date)));
+  
+  // Volume and negativity spikes per day and hour
+  const anomalies = detectAnomalies(articles);
+  
+  // Words and phrases spiking against the earlier part of the window
+  const trendingKeywords = keywords.trendingKeywords(articles);
+  
+  const { topEntities, entitySentiment, entityCoMentions } = entityAnalytics(articles);
+  
+  // Indian vs Pakistani vs international framing
+  const perspectives = perspectiveAnalytics(articles, categoryIds);
+  
+  // Key insights
+  const mostRecent = [...articles].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))[0];
+  const mostNegative = [...articles].sort((a, b) => a.sentiment - b.sentiment)[0];
+  const mostPositive = [...articles].sort((a, b) => b.sentiment - a.sentiment)[0];
+  
+  // Escalation index and the situation level it maps to
+  const escalation = computeEscalation(escalationArticles);
+  const crisisLevel = escalation.level;
+  
+  // Structured events (strikes, attacks, talks...) with duplicate reports merged.
+  // Sports and off-topic coverage can't report a crisis event.
+  const events = extractEvents(articles.filter(isInScope));
+  
+  return {
+    categories,
+    categoryLabels,
+    stories,
+    relevance,
+    sentimentCounts,
+    timelineData,
+    anomalies,
+    trendingKeywords,
+    topEntities,
+    entitySentiment,
+    entityCoMentions,
+    perspectives,
+    keyInsights: {
+      mostRecent: mostRecent ? {
+        title: mostRecent.title,
+        date: mostRecent.publishedAt,
+        source: mostRecent.source.name
+      } : null,
+      mostNegative: mostNegative ? {
+        title: mostNegative.title,
+        sentiment: mostNegative.sentiment,
+        category: mostNegative.category
+      } : null,
+      mostPositive: mostPositive ? {
+        title: mostPositive.title,
+        sentiment: mostPositive.sentiment,
+        category: mostPositive.category
+      } : null
+    },
+    crisisLevel,
+    escalation,
+    events,
+    lastUpdated: new Date()
+  };
+}
+
+// Situation level from the escalation index, for callers that only need the level
+function assessCrisisLevel(articles) {
+  return computeEscalation(articles).level;
+}
+
+module.exports = {
+  calculateAnalytics,
+  assessCrisisLevel
+};
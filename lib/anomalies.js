@@ -0,0 +1,135 @@
+const moment = require('moment');
+const config = require('../config/anomalies');
+const taxonomy = require('./taxonomy');
+
+const SEVERE_Z = 1.5;
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Bucket keys from the first article to now with no gaps, so quiet hours count as zero
+function bucketKeys(articles, granularity, now) {
+  const format = granularity === 'day' ? 'YYYY-MM-DD' : 'YYYY-MM-DDTHH:00';
+  const first = moment.min(articles.map(a => moment(a.publishedAt))).startOf(granularity);
+  const last = moment(now).startOf(granularity);
+  const keys = [];
+  for (const cursor = first.clone(); !cursor.isAfter(last); cursor.add(1, granularity)) {
+    keys.push(cursor.format(format));
+  }
+  return { keys, keyOf: article => moment(article.publishedAt).startOf(granularity).format(format) };
+}
+
+// Flag points that jump above an exponentially weighted moving average. The spread
+// never drops below Poisson noise (the square root of the average), so a quiet
+// series going from one article to two isn't an anomaly.
+function ewmaAnomalies(values, { alpha, warmup, zThreshold, minCount }) {
+  if (values.length <= warmup) return [];
+  const seed = values.slice(0, warmup);
+  let mean = seed.reduce((sum, v) => sum + v, 0) / warmup;
+  let variance = seed.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / warmup;
+  const flagged = [];
+
+  for (let i = warmup; i < values.length; i++) {
+    const value = values[i];
+    const spread = Math.max(Math.sqrt(variance), Math.sqrt(Math.max(mean, 1)));
+    const zScore = (value - mean) / spread;
+    if (zScore >= zThreshold && value >= minCount) {
+      flagged.push({ index: i, value, expected: mean, zScore });
+    }
+    const diff = value - mean;
+    mean += alpha * diff;
+    variance = (1 - alpha) * (variance + alpha * diff * diff);
+  }
+  return flagged;
+}
+
+// Per-bucket volume and number of negative articles, for all news and each category
+function buildSeries(articles, granularity, now) {
+  const { keys, keyOf } = bucketKeys(articles, granularity, now);
+  const position = {};
+  keys.forEach((key, i) => {
+    position[key] = i;
+  });
+
+  const labels = {};
+  taxonomy.describe().categories.forEach(category => {
+    labels[category.id] = category.label;
+  });
+
+  const series = {
+    'volume:all': { metric: 'volume', category: 'all', label: 'All news', noun: 'articles', values: keys.map(() => 0) },
+    'negative:all': {
+      metric: 'negative',
+      category: 'all',
+      label: 'Negative news',
+      noun: 'negative articles',
+      values: keys.map(() => 0)
+    }
+  };
+  function categorySeries(metric, category) {
+    const key = `${metric}:${category}`;
+    if (!series[key]) {
+      const label = labels[category] || category;
+      series[key] = metric === 'negative'
+        ? { metric, category, label: `Negative ${label} news`, noun: `negative ${label} articles` }
+        : { metric, category, label, noun: `${label} articles` };
+      series[key].values = keys.map(() => 0);
+    }
+    return series[key];
+  }
+
+  articles.forEach(article => {
+    const i = position[keyOf(article)];
+    if (i === undefined) return;
+    series['volume:all'].values[i]++;
+    categorySeries('volume', article.category).values[i]++;
+    if (article.sentiment < 0) {
+      series['negative:all'].values[i]++;
+      categorySeries('negative', article.category).values[i]++;
+    }
+  });
+
+  return { keys, series: Object.values(series) };
+}
+
+// Volume and negativity spikes per day and per hour, newest first. Each anomaly
+// has a stable id so clients can tell which ones they have already alerted on.
+function detectAnomalies(articles, now = new Date()) {
+  if (!articles || !articles.length) return [];
+  const notifyAfter = moment(now).subtract(config.notifyHours, 'hours');
+  const anomalies = [];
+
+  ['day', 'hour'].forEach(granularity => {
+    const settings = config[granularity];
+    const { keys, series } = buildSeries(articles, granularity, now);
+    series.forEach(entry => {
+      ewmaAnomalies(entry.values, settings).forEach(({ index, value, expected, zScore }) => {
+        const bucket = keys[index];
+        const start = moment(bucket);
+        anomalies.push({
+          id: `${granularity}:${entry.metric}:${entry.category}:${bucket}`,
+          granularity,
+          bucket,
+          date: start.format('YYYY-MM-DD'),
+          metric: entry.metric,
+          category: entry.category,
+          label: entry.label,
+          value,
+          expected: round(expected, 1),
+          zScore: round(zScore),
+          severity: zScore >= settings.zThreshold * SEVERE_Z ? 'high' : 'medium',
+          description: `${value} ${entry.noun} against about ${round(expected, 1)} expected`,
+          notify: moment(start).add(1, granularity).isAfter(notifyAfter)
+        });
+      });
+    });
+  });
+
+  return anomalies.sort((a, b) => moment(b.bucket).diff(moment(a.bucket)) || b.zScore - a.zScore);
+}
+
+module.exports = {
+  detectAnomalies
+};
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const taxonomy = require('./taxonomy');
+const { tokenize, stem, isStopword } = require('./text');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const TOP_FACET_VALUES = 20;
+const SORTS = ['relevance', 'newest', 'oldest'];
+const BOOLEAN_VALUES = { true: true, false: false };
+
+// BM25 settings; title matches count double
+const K1 = 1.2;
+const B = 0.75;
+const FIELD_WEIGHTS = { title: 2, description: 1 };
+
+const PARAMETERS = [
+  'q', 'category', 'sentimentMin', 'sentimentMax', 'priority', 'inScope', 'source', 'country',
+  'entity', 'from', 'to', 'sort', 'limit', 'cursor'
+];
+
+function list(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function round(value, places = 6) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Search terms (stemmed, no stopwords) and "quoted phrases" from a query string
+function parseSearch(q) {
+  const phrases = [];
+  const rest = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    const normalized = tokenize(phrase).join(' ');
+    if (normalized) phrases.push(normalized);
+    return ' ';
+  });
+  const terms = [...new Set(tokenize(rest).filter(token => !isStopword(token)).map(stem))];
+  return { text: q, terms, phrases };
+}
+
+// Validate the query string of GET /api/articles. from and to are parsed by the
+// caller. Returns the normalized parameters, or every problem found.
+function parse(query) {
+  const errors = [];
+  const params = { limit: DEFAULT_LIMIT };
+
+  Object.keys(query).forEach(key => {
+    if (!PARAMETERS.includes(key)) errors.push(`Unknown parameter: ${key}`);
+    else if (typeof query[key] !== 'string') errors.push(`${key} must be given once`);
+  });
+  if (errors.length) return { errors };
+
+  if (query.q !== undefined) {
+    const search = parseSearch(query.q);
+    if (!search.terms.length && !search.phrases.length) errors.push('q must contain at least one search term');
+    else params.search = search;
+  }
+
+  if (query.category !== undefined) {
+    const valid = [...taxonomy.categoryIds(), 'other'];
+    params.category = list(query.category);
+    const unknown = params.category.filter(id => !valid.includes(id));
+    if (!params.category.length || unknown.length) {
+      errors.push(`category must be one or more of: ${valid.join(', ')}`);
+    }
+  }
+
+  ['sentimentMin', 'sentimentMax'].forEach(key => {
+    if (query[key] === undefined) return;
+    const value = Number(query[key]);
+    if (query[key].trim() === '' || !Number.isFinite(value)) errors.push(`${key} must be a number`);
+    else params[key] = value;
+  });
+  if (params.sentimentMin !== undefined && params.sentimentMax !== undefined &&
+      params.sentimentMin > params.sentimentMax) {
+    errors.push('sentimentMin must not be greater than sentimentMax');
+  }
+
+  ['priority', 'inScope'].forEach(key => {
+    if (query[key] === undefined) return;
+    if (!(query[key] in BOOLEAN_VALUES)) errors.push(`${key} must be true or false`);
+    else params[key] = BOOLEAN_VALUES[query[key]];
+  });
+
+  [['source', value => value.toLowerCase()], ['country', value => value.toUpperCase()], ['entity', value => value]]
+    .forEach(([key, normalize]) => {
+      if (query[key] === undefined) return;
+      params[key] = list(query[key]).map(normalize);
+      if (!params[key].length) errors.push(`${key} must not be empty`);
+    });
+
+  if (query.sort !== undefined) {
+    if (!SORTS.includes(query.sort)) errors.push(`sort must be one of: ${SORTS.join(', ')}`);
+    else if (query.sort === 'relevance' && !params.search) errors.push('sort=relevance needs a search query (q)');
+    else params.sort = query.sort;
+  }
+  if (!params.sort) params.sort = params.search ? 'relevance' : 'newest';
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    } else {
+      params.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    params.cursor = decodeCursor(query.cursor);
+    if (!params.cursor) errors.push('cursor is not valid');
+  }
+
+  return errors.length ? { errors } : { params };
+}
+
+// Fingerprint of everything that decides the result order, so a cursor can't be
+// replayed against a different query
+function queryKey(params) {
+  const { limit, cursor, ...rest } = params;
+  const normalized = JSON.stringify(Object.keys(rest).sort().map(name => [name, rest[name]]));
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(key, item) {
+  return Buffer.from(JSON.stringify({ q: key, after: item.sortKey })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.q === 'string' && Array.isArray(decoded.after) ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function labelsOf(article) {
+  return [article.category, ...(article.categories || []).map(label => label.id)];
+}
+
+function sentimentBucket(article) {
+  if (article.sentiment > 0) return 'positive';
+  if (article.sentiment < 0) return 'negative';
+  return 'neutral';
+}
+
+function sourceOf(article) {
+  const outlet = article.outlet || {};
+  const name = outlet.name || (article.source && article.source.name) || 'Unknown';
+  return { id: outlet.id || name.toLowerCase(), name };
+}
+
+// One predicate per facet, so each facet can be counted without its own filter
+function buildFilters(params) {
+  const filters = {};
+  if (params.category) {
+    filters.category = article => labelsOf(article).some(id => params.category.includes(id));
+  }
+  if (params.sentimentMin !== undefined || params.sentimentMax !== undefined) {
+    filters.sentiment = article =>
+      (params.sentimentMin === undefined || article.sentiment >= params.sentimentMin) &&
+      (params.sentimentMax === undefined || article.sentiment <= params.sentimentMax);
+  }
+  if (params.priority !== undefined) {
+    filters.priority = article => Boolean(article.isPriority) === params.priority;
+  }
+  if (params.inScope !== undefined) {
+    filters.inScope = article => (article.inScope !== false) === params.inScope;
+  }
+  if (params.source) {
+    filters.source = article => {
+      const { id, name } = sourceOf(article);
+      const sourceName = ((article.source && article.source.name) || '').toLowerCase();
+      return params.source.some(value => value === id || value === name.toLowerCase() || value === sourceName);
+    };
+  }
+  if (params.country) {
+    filters.country = article => params.country.includes((article.outlet && article.outlet.country) || 'UNKNOWN');
+  }
+  if (params.entity) {
+    filters.entity = article => (article.entities || []).some(entity => params.entity.includes(entity.id));
+  }
+  return filters;
+}
+
+function fieldTokens(article) {
+  return {
+    title: tokenize(article.title).map(stem),
+    description: tokenize(article.description).map(stem)
+  };
+}
+
+// Articles containing every term and phrase, scored with BM25 over title and description
+function search(articles, { terms, phrases }) {
+  const docs = articles.map(article => ({
+    article,
+    fields: fieldTokens(article),
+    text: tokenize(`${article.title || ''} ${article.description || ''}`).join(' ')
+  }));
+  const averageLength = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    averageLength[field] = docs.reduce((sum, doc) => sum + doc.fields[field].length, 0) / (docs.length || 1);
+  });
+
+  const documentFrequency = {};
+  terms.forEach(term => {
+    documentFrequency[term] = docs.filter(doc =>
+      Object.values(doc.fields).some(tokens => tokens.includes(term))).length;
+  });
+
+  return docs
+    .filter(doc =>
+      terms.every(term => Object.values(doc.fields).some(tokens => tokens.includes(term))) &&
+      phrases.every(phrase => ` ${doc.text} `.includes(` ${phrase} `)))
+    .map(doc => {
+      const score = terms.reduce((total, term) => {
+        const idf = Math.log(1 + (docs.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+        return total + Object.entries(FIELD_WEIGHTS).reduce((sum, [field, weight]) => {
+          const tokens = doc.fields[field];
+          const frequency = tokens.filter(token => token === term).length;
+          if (!frequency) return sum;
+          const norm = K1 * (1 - B + B * tokens.length / (averageLength[field] || 1));
+          return sum + weight * idf * (frequency * (K1 + 1)) / (frequency + norm);
+        }, 0);
+      }, 0);
+      // Every phrase counts as much as a strong title match
+      return { article: doc.article, score: round(score + phrases.length * FIELD_WEIGHTS.title) };
+    });
+}
+
+function sortKey(item, sort) {
+  const time = new Date(item.article.publishedAt).getTime();
+  if (sort === 'relevance') return [item.score, time, item.article.id];
+  return [time, item.article.id];
+}
+
+// Compare sort keys: relevance and newest run descending, oldest ascending
+function compareKeys(a, b, sort) {
+  const direction = sort === 'oldest' ? 1 : -1;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -direction;
+    if (a[i] > b[i]) return direction;
+  }
+  return 0;
+}
+
+function countBy(articles, keysOf) {
+  const counts = {};
+  articles.forEach(article => {
+    keysOf(article).forEach(key => {
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+function topValues(counts, details) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_FACET_VALUES)
+    .map(([id, count]) => ({ ...details[id], count }));
+}
+
+// Counts for the filter UI. Each facet applies every filter except its own, so
+// picking one category still shows how many articles the others would add.
+function buildFacets(articles, filters) {
+  const without = facet => articles.filter(article =>
+    Object.entries(filters).every(([name, test]) => name === facet || test(article)));
+
+  const sourceDetails = {};
+  const entityDetails = {};
+  articles.forEach(article => {
+    const source = sourceOf(article);
+    sourceDetails[source.id] = source;
+    (article.entities || []).forEach(({ id, name, type }) => {
+      entityDetails[id] = { id, name, type };
+    });
+  });
+
+  return {
+    category: countBy(without('category'), article => [...new Set(labelsOf(article))]),
+    sentiment: countBy(without('sentiment'), article => [sentimentBucket(article)]),
+    priority: countBy(without('priority'), article => [String(Boolean(article.isPriority))]),
+    inScope: countBy(without('inScope'), article => [String(article.inScope !== false)]),
+    source: topValues(countBy(without('source'), article => [sourceOf(article).id]), sourceDetails),
+    country: countBy(without('country'), article => [(article.outlet && article.outlet.country) || 'UNKNOWN']),
+    entity: topValues(
+      countBy(without('entity'), article => [...new Set((article.entities || []).map(entity => entity.id))]),
+      entityDetails
+    )
+  };
+}
+
+// Filter, search, sort and page articles. A page ends with nextCursor when more
+// results follow; passing it back continues after the last article returned.
+function query(articles, params) {
+  const key = queryKey(params);
+  if (params.cursor && params.cursor.q !== key) {
+    return { error: 'cursor belongs to a different query' };
+  }
+
+  const inRange = articles.filter(article => {
+    const time = new Date(article.publishedAt).getTime();
+    return (!params.from || time >= params.from.valueOf()) && (!params.to || time <= params.to.valueOf());
+  });
+  const matching = params.search
+    ? search(inRange, params.search)
+    : inRange.map(article => ({ article, score: null }));
+
+  const filters = buildFilters(params);
+  const results = matching
+    .filter(({ article }) => Object.values(filters).every(test => test(article)))
+    .map(item => ({ ...item, sortKey: sortKey(item, params.sort) }))
+    .sort((a, b) => compareKeys(a.sortKey, b.sortKey, params.sort));
+
+  const start = params.cursor
+    ? results.findIndex(item => compareKeys(item.sortKey, params.cursor.after, params.sort) > 0)
+    : 0;
+  const page = start === -1 ? [] : results.slice(start, start + params.limit);
+  const more = start !== -1 && start + params.limit < results.length;
+
+  return {
+    articles: page.map(({ article, score }) => (score === null ? article : { ...article, searchScore: score })),
+    total: results.length,
+    limit: params.limit,
+    sort: params.sort,
+    nextCursor: more ? encodeCursor(key, page[page.length - 1]) : null,
+    facets: buildFacets(matching.map(item => item.article), filters)
+  };
+}
+
+module.exports = {
+  parse,
+  query
+};
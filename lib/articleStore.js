@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const STORE_FILE = dataPath('articles.json');
+const RETENTION_DAYS = parseInt(process.env.ARTICLE_RETENTION_DAYS, 10) || 90;
+// lastSeen only decides retention, so seeing an article again within this long
+// doesn't count as a change worth writing the store for
+const LAST_SEEN_RESOLUTION_MS = 24 * 60 * 60 * 1000;
+
+// Query parameters that only track the click and never identify the article
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'ref', 'ref_src', 'cmpid', 'ito', 'ocid'
+];
+
+// Articles keyed by id, plus lookup indexes for both dedup keys
+let articles = {};
+let byUrl = {};
+let byFingerprint = {};
+let loaded = false;
+// Whether anything changed since the store was last written
+let dirty = false;
+
+const writeStore = createWriter(STORE_FILE);
+
+// Normalize a URL so the same article from different links maps to one key
+function normalizeUrl(rawUrl) {
+  if (!rawUrl) return null;
+  try {
+    const url = new URL(rawUrl);
+    const host = url.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    const params = [...url.searchParams.entries()]
+      .filter(([key]) => !key.toLowerCase().startsWith('utm_') &&
+        !TRACKING_PARAMS.includes(key.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const pathname = url.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+    const query = params.length
+      ? '?' + params.map(([key, value]) => `${key}=${value}`).join('&')
+      : '';
+    return `${host}${pathname}${query}`;
+  } catch (err) {
+    return rawUrl.trim().toLowerCase();
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fingerprint a title so syndicated copies with different URLs still match
+function titleFingerprint(title, sourceName) {
+  if (!title) return null;
+  let text = title.toLowerCase();
+
+  // Drop a trailing " - Outlet" / " | Outlet" suffix added by aggregators
+  if (sourceName) {
+    const suffix = new RegExp(`\\s+[-|–—]\\s+${escapeRegExp(sourceName.toLowerCase())}\\s*$`);
+    text = text.replace(suffix, '');
+  }
+
+  // Accents come off Latin letters; other scripts (Hindi, Urdu) keep their marks
+  const normalized = text
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!normalized) return null;
+
+  return crypto.createHash('sha1').update(normalized).digest('hex');
+}
+
+function indexArticle(record) {
+  record.urlKeys.forEach(urlKey => {
+    byUrl[urlKey] = record.id;
+  });
+  if (record.fingerprint) byFingerprint[record.fingerprint] = record.id;
+}
+
+function rebuildIndexes() {
+  byUrl = {};
+  byFingerprint = {};
+  Object.values(articles).forEach(indexArticle);
+}
+
+function load() {
+  if (loaded) return;
+  const stored = readJson(STORE_FILE, { articles: [] });
+  articles = {};
+  (stored.articles || []).forEach(record => {
+    articles[record.id] = record;
+  });
+  rebuildIndexes();
+  loaded = true;
+  console.log(`Loaded ${Object.keys(articles).length} articles from store`);
+}
+
+// Insert new articles or refresh ones we have already seen.
+// Returns the records that were stored for the first time.
+function upsertArticles(processedArticles, query) {
+  load();
+  const now = new Date().toISOString();
+  const added = [];
+
+  processedArticles.forEach(article => {
+    const urlKey = normalizeUrl(article.url);
+    const fingerprint = titleFingerprint(article.title, article.source && article.source.name);
+    if (!urlKey && !fingerprint) return;
+
+    const existingId = (urlKey && byUrl[urlKey]) || (fingerprint && byFingerprint[fingerprint]);
+    const existing = existingId && articles[existingId];
+
+    if (existing) {
+      const queries = query && !existing.queries.includes(query)
+        ? [...existing.queries, query]
+        : existing.queries;
+      // Syndicated copies keep the first URL but remember the alias for future matches
+      const urlKeys = urlKey && !existing.urlKeys.includes(urlKey)
+        ? [...existing.urlKeys, urlKey]
+        : existing.urlKeys;
+      const updated = {
+        ...existing,
+        ...article,
+        id: existing.id,
+        url: existing.url,
+        urlKeys,
+        fingerprint: existing.fingerprint || fingerprint,
+        firstSeen: existing.firstSeen,
+        lastSeen: existing.lastSeen,
+        queries
+      };
+      const seenLongAgo = Date.now() - new Date(existing.lastSeen).getTime() >= LAST_SEEN_RESOLUTION_MS;
+      if (seenLongAgo) updated.lastSeen = now;
+      if (seenLongAgo || JSON.stringify(updated) !== JSON.stringify(existing)) {
+        articles[existing.id] = updated;
+        indexArticle(updated);
+        dirty = true;
+      }
+      return;
+    }
+
+    const id = crypto.createHash('sha1').update(urlKey || fingerprint).digest('hex').slice(0, 16);
+    const record = {
+      ...article,
+      id,
+      urlKeys: urlKey ? [urlKey] : [],
+      fingerprint,
+      firstSeen: now,
+      lastSeen: now,
+      queries: query ? [query] : []
+    };
+    articles[id] = record;
+    indexArticle(record);
+    added.push(record);
+    dirty = true;
+  });
+
+  return added;
+}
+
+// Re-run processing over articles processed with another config version.
+// Returns how many were redone.
+function reprocess(version, processArticle) {
+  load();
+  let redone = 0;
+  Object.values(articles).forEach(record => {
+    if (record.processedWith === version) return;
+    articles[record.id] = processArticle(record);
+    redone++;
+  });
+  if (redone) dirty = true;
+  return redone;
+}
+
+// Drop articles nobody has seen within the retention window
+function prune() {
+  const cutoff = moment().subtract(RETENTION_DAYS, 'days');
+  let removed = 0;
+  Object.values(articles).forEach(record => {
+    if (moment(record.lastSeen).isBefore(cutoff)) {
+      delete articles[record.id];
+      removed++;
+    }
+  });
+  if (removed) {
+    rebuildIndexes();
+    dirty = true;
+  }
+  return removed;
+}
+
+// Write the store if anything was added, changed or pruned since the last write
+function save() {
+  load();
+  prune();
+  if (!dirty) return Promise.resolve();
+  dirty = false;
+  return writeStore({ articles: Object.values(articles) });
+}
+
+// Stored articles, newest first, optionally limited to those published since a date
+function getArticles({ since } = {}) {
+  load();
+  const cutoff = since ? moment(since) : null;
+  return Object.values(articles)
+    .filter(record => !cutoff || moment(record.publishedAt).isSameOrAfter(cutoff))
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+function getArticle(id) {
+  load();
+  return articles[id] || null;
+}
+
+function count() {
+  load();
+  return Object.keys(articles).length;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  normalizeUrl,
+  titleFingerprint,
+  upsertArticles,
+  reprocess,
+  save,
+  getArticles,
+  getArticle,
+  count
+};
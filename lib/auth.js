@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config/auth');
+const firebaseConfig = require('../config/firebase');
+const users = require('./users');
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+// Checked against when an email is unknown, so a failed sign-in takes as long either way
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), config.bcryptRounds);
+
+// Carries the HTTP status the API should answer with
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Whether a user's role includes everything the given role can do
+function hasRole(user, role) {
+  return config.roles.indexOf(user.role) >= config.roles.indexOf(role);
+}
+
+function registrationOpen() {
+  return config.allowRegistration || users.count() === 0;
+}
+
+// The first account administers the rest
+function roleForNewUser() {
+  return users.count() === 0 ? 'admin' : config.defaultRole;
+}
+
+function validateRegistration(input) {
+  const errors = [];
+  if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+    errors.push('email must be an email address');
+  }
+  if (typeof input.password !== 'string' || input.password.length < config.minPasswordLength) {
+    errors.push(`password must be at least ${config.minPasswordLength} characters`);
+  }
+  if (input.name !== undefined && typeof input.name !== 'string') {
+    errors.push('name must be a string');
+  }
+  return errors;
+}
+
+function checkCanRegister(email) {
+  if (!registrationOpen()) throw new AuthError('Registration is closed; ask an admin for an account', 403);
+  if (users.findByEmail(email)) throw new AuthError('An account with this email already exists', 409);
+}
+
+async function register({ email, password, name }) {
+  checkCanRegister(email);
+  const passwordHash = await bcrypt.hash(password, config.bcryptRounds);
+  // Check again: another registration for the address may have finished while
+  // hashing. createUser adds the account before it yields, so nothing slips between.
+  checkCanRegister(email);
+  return users.createUser({ email, name, passwordHash, role: roleForNewUser(), provider: 'password' });
+}
+
+// A Firebase ID token stands for the account with that Firebase uid, created on
+// first sign-in. firebase-admin is only loaded when Firebase sign-in is configured.
+function createFirebaseVerifier() {
+  let firebaseAuth = null;
+  return {
+    async verify({ idToken }) {
+      if (typeof idToken !== 'string' || !idToken) throw new AuthError('idToken is required', 400);
+      if (!firebaseAuth) {
+        const { initializeApp } = require('firebase-admin/app');
+        const { getAuth } = require('firebase-admin/auth');
+        firebaseAuth = getAuth(initializeApp({ projectId: firebaseConfig.projectId }, 'auth'));
+      }
+
+      let decoded;
+      try {
+        decoded = await firebaseAuth.verifyIdToken(idToken, firebaseConfig.checkRevoked);
+      } catch (err) {
+        throw new AuthError('Invalid Firebase ID token');
+      }
+
+      const existing = users.findByFirebaseUid(decoded.uid);
+      if (existing) return existing;
+      if (decoded.email && users.findByEmail(decoded.email)) {
+        throw new AuthError('An account with this email already exists; sign in with its password', 409);
+      }
+      if (!registrationOpen()) throw new AuthError('Registration is closed; ask an admin for an account', 403);
+      return users.createUser({
+        email: decoded.email || `${decoded.uid}@firebase`,
+        name: decoded.name,
+        role: roleForNewUser(),
+        provider: 'firebase',
+        firebaseUid: decoded.uid
+      });
+    }
+  };
+}
+
+// Sign-in methods. Each verify() resolves to the account the credentials belong
+// to or rejects with an AuthError; either way the session is ours from then on.
+const verifiers = {
+  password: {
+    async verify({ email, password }) {
+      const user = users.findByEmail(email);
+      const hash = user && user.passwordHash ? user.passwordHash : DUMMY_HASH;
+      const matches = typeof password === 'string' && await bcrypt.compare(password, hash);
+      if (!user || !user.passwordHash || !matches) throw new AuthError('Invalid email or password');
+      return user;
+    }
+  },
+  firebase: firebaseConfig.enabled ? createFirebaseVerifier() : null
+};
+
+function newTokenId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + config.refreshTokenDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// A short-lived access token and a refresh token for the session
+function signTokens(user, tokenId) {
+  return {
+    user: users.publicUser(user),
+    accessToken: jwt.sign({ sub: user.id, role: user.role, type: 'access' }, config.jwtSecret, {
+      expiresIn: `${config.accessTokenMinutes}m`
+    }),
+    refreshToken: jwt.sign({ sub: user.id, type: 'refresh', jti: tokenId }, config.jwtSecret, {
+      expiresIn: `${config.refreshTokenDays}d`
+    }),
+    expiresIn: config.accessTokenMinutes * 60
+  };
+}
+
+// Tokens backed by a new revocable session
+async function issueTokens(user) {
+  const tokenId = newTokenId();
+  await users.addSession(tokenId, user.id, sessionExpiry());
+  return signTokens(user, tokenId);
+}
+
+async function signIn(method, credentials) {
+  const verifier = verifiers[method];
+  if (!verifier) throw new AuthError(`Sign-in with ${method} is not enabled`, 400);
+  const user = await verifier.verify(credentials || {});
+  await users.recordLogin(user);
+  return issueTokens(user);
+}
+
+function verifyToken(token, type, options) {
+  try {
+    const payload = jwt.verify(token, config.jwtSecret, options);
+    return payload.type === type ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Trade a refresh token for a new pair. The old one stops working once
+// refreshGraceSeconds have passed, so a stolen token is soon useless; until then
+// it returns the same new session, so two tabs refreshing at once both stay in.
+async function refresh(refreshToken) {
+  const payload = verifyToken(refreshToken, 'refresh');
+  const session = payload && users.getSession(payload.jti);
+  if (!session) throw new AuthError('Session expired; sign in again');
+  const user = users.getUser(payload.sub);
+  if (!user) throw new AuthError('Account no longer exists');
+
+  if (session.replacedBy) {
+    if (!users.getSession(session.replacedBy)) throw new AuthError('Session expired; sign in again');
+    return signTokens(user, session.replacedBy);
+  }
+  const tokenId = newTokenId();
+  const graceUntil = new Date(Date.now() + config.refreshGraceSeconds * 1000).toISOString();
+  await users.rotateSession(payload.jti, tokenId, sessionExpiry(), graceUntil);
+  return signTokens(user, tokenId);
+}
+
+// End the session behind a refresh token, even an expired one, and any session
+// it was already traded for
+async function logout(refreshToken) {
+  const payload = verifyToken(refreshToken, 'refresh', { ignoreExpiration: true });
+  if (payload) await users.removeSession(payload.jti);
+}
+
+// EventSource can't set headers, so the live stream, and nothing else, also takes
+// the access token as ?access_token=
+const QUERY_TOKEN_PATH = '/api/stream';
+
+// The bearer token, or the query string token on the stream
+function tokenFrom(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  if (req.method === 'GET' && req.baseUrl + req.path === QUERY_TOKEN_PATH &&
+    typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+// Pages opened from links (the printable brief) can't carry a bearer token, and a
+// token in the URL would end up in history and logs. Each sign-in and refresh also
+// sets a cookie tied to the session, so the page works for as long as it does.
+const PAGE_COOKIE = 'pageSession';
+const PAGE_COOKIE_PATH = '/brief';
+
+function setPageCookie(req, res, tokens) {
+  const { sub, jti } = jwt.decode(tokens.refreshToken);
+  const token = jwt.sign({ sub, sid: jti, type: 'page' }, config.jwtSecret, {
+    expiresIn: `${config.refreshTokenDays}d`
+  });
+  res.cookie(PAGE_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: PAGE_COOKIE_PATH,
+    maxAge: config.refreshTokenDays * 24 * 60 * 60 * 1000
+  });
+}
+
+function clearPageCookie(res) {
+  res.clearCookie(PAGE_COOKIE, { path: PAGE_COOKIE_PATH });
+}
+
+function cookieFrom(req, name) {
+  const cookie = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+// Middleware for pages: the page cookie must belong to a session that is still
+// open, otherwise the user is sent to sign in on the dashboard
+function authenticatePage(req, res, next) {
+  const payload = verifyToken(cookieFrom(req, PAGE_COOKIE), 'page');
+  const user = payload && users.getSession(payload.sid) && users.getUser(payload.sub);
+  if (!user) {
+    return res.status(401).type('html')
+      .send('<p>Sign in on the <a href="/">dashboard</a>, then open this page again.</p>');
+  }
+  req.user = users.publicUser(user);
+  return next();
+}
+
+// Middleware: reject requests without a valid access token, otherwise set req.user.
+// The account is looked up each time, so role changes and removals apply at once.
+function authenticate(req, res, next) {
+  const token = tokenFrom(req);
+  if (!token) return res.status(401).json({ error: 'Sign in required' });
+  const payload = verifyToken(token, 'access');
+  const user = payload && users.getUser(payload.sub);
+  if (!user) return res.status(401).json({ error: 'Invalid or expired access token' });
+  req.user = users.publicUser(user);
+  return next();
+}
+
+// Middleware: only let through users whose role includes the given one
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    return next();
+  };
+}
+
+// Sign-in methods for the login screen
+function describe() {
+  return {
+    password: true,
+    registration: registrationOpen(),
+    firebase: Boolean(verifiers.firebase),
+    roles: config.roles
+  };
+}
+
+module.exports = {
+  AuthError,
+  roles: config.roles,
+  validateRegistration,
+  register,
+  signIn,
+  issueTokens,
+  refresh,
+  logout,
+  authenticate,
+  authenticatePage,
+  setPageCookie,
+  clearPageCookie,
+  requireRole,
+  describe
+};
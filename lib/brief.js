@@ -0,0 +1,377 @@
+const moment = require('moment');
+const escalationConfig = require('../config/escalation');
+const { computeEscalation } = require('./escalation');
+const { contentTokens, stem } = require('./text');
+const taxonomy = require('./taxonomy');
+
+const TOP_STORIES = 5;
+const DEVELOPMENTS_PER_CATEGORY = 3;
+const SUMMARY_SENTENCES = 2;
+const QUOTES = 5;
+
+const REPORTING_VERBS = /\b(said|says|told|warned|stated|added|vowed|urged|asserted|accused|claimed|announced|insisted)\b/i;
+const DIRECT_QUOTE = /[“"]([^”"]{20,300})[”"]/g;
+
+// Days of articles before the range the brief needs, so the escalation index at
+// its start has a full window and baseline behind it
+function lookbackDays() {
+  return Math.ceil(escalationConfig.windowHours / 24) + escalationConfig.baselineDays + 1;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Provider content is truncated with "... [2285 chars]"; drop the marker and the cut sentence
+function cleanContent(content) {
+  if (!content) return '';
+  return content.replace(/\s*(\.\.\.|…)?\s*\[\d+ chars\]\s*$/, '').replace(/[^.!?]*$/, '');
+}
+
+function sentencesOf(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+(?=[A-Z“"‘'])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 6);
+}
+
+function overlap(a, b) {
+  const setA = new Set(a);
+  const shared = b.filter(token => setA.has(token)).length;
+  return shared / Math.max(1, Math.min(a.length, b.length));
+}
+
+// Extractive summary: the sentences that share the most terms with the story as a
+// whole, skipping ones that repeat a sentence already picked
+function summarizeStory(members, count = SUMMARY_SENTENCES) {
+  const frequency = {};
+  members.forEach(article => {
+    contentTokens(`${article.title} ${article.description || ''}`).map(stem).forEach(term => {
+      frequency[term] = (frequency[term] || 0) + 1;
+    });
+  });
+
+  const seen = new Set();
+  const candidates = [];
+  members.forEach(article => {
+    sentencesOf(`${article.description || ''} ${cleanContent(article.content)}`).forEach(sentence => {
+      if (seen.has(sentence)) return;
+      seen.add(sentence);
+      const terms = contentTokens(sentence).map(stem);
+      if (!terms.length) return;
+      const score = terms.reduce((sum, term) => sum + (frequency[term] || 0), 0) / Math.sqrt(terms.length);
+      candidates.push({ sentence, terms, score });
+    });
+  });
+
+  const picked = [];
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (picked.length < count && !picked.some(p => overlap(p.terms, candidate.terms) > 0.6)) {
+        picked.push(candidate);
+      }
+    });
+  return picked.map(p => p.sentence);
+}
+
+function linkTo(article) {
+  return {
+    title: article.title,
+    source: article.source && article.source.name,
+    perspective: article.outlet ? article.outlet.perspective : 'unknown',
+    url: article.url,
+    publishedAt: article.publishedAt
+  };
+}
+
+// Stories with their in-range members, biggest first: more outlets, then more
+// reports, then priority and negativity
+function storiesInRange(inRange, clusters) {
+  const byCluster = {};
+  inRange.forEach(article => {
+    const id = article.clusterId || article.id;
+    if (!byCluster[id]) byCluster[id] = [];
+    byCluster[id].push(article);
+  });
+  const clusterById = {};
+  (clusters || []).forEach(cluster => {
+    clusterById[cluster.id] = cluster;
+  });
+
+  return Object.entries(byCluster)
+    .map(([id, members]) => {
+      const cluster = clusterById[id];
+      const lead = members.find(a => cluster && a.url === cluster.url) || members[0];
+      const sources = new Set(members.map(a => a.source && a.source.name).filter(Boolean));
+      const sentiment = members.reduce((sum, a) => sum + a.sentiment, 0) / members.length;
+      return {
+        id,
+        headline: lead.title,
+        url: lead.url,
+        category: cluster ? cluster.category : lead.category,
+        articleCount: members.length,
+        sourceCount: sources.size,
+        sentiment: round(sentiment),
+        isPriority: members.some(a => a.isPriority),
+        firstPublishedAt: members.reduce((min, a) => (a.publishedAt < min ? a.publishedAt : min), lead.publishedAt),
+        members
+      };
+    })
+    .sort((a, b) =>
+      b.sourceCount - a.sourceCount ||
+      b.articleCount - a.articleCount ||
+      Number(b.isPriority) - Number(a.isPriority) ||
+      a.sentiment - b.sentiment);
+}
+
+function describeStory(story) {
+  return {
+    id: story.id,
+    headline: story.headline,
+    url: story.url,
+    category: story.category,
+    articleCount: story.articleCount,
+    sourceCount: story.sourceCount,
+    sentiment: story.sentiment,
+    isPriority: story.isPriority,
+    firstPublishedAt: story.firstPublishedAt,
+    summary: summarizeStory(story.members),
+    links: story.members.map(linkTo)
+  };
+}
+
+// Direct quotes in quotation marks, then reported statements ("X said ...")
+// that name a person or organization from the article's entities
+function extractQuotes(stories) {
+  const quotes = [];
+  const seen = new Set();
+  stories.forEach(story => {
+    story.members.forEach(article => {
+      const text = `${article.description || ''} ${cleanContent(article.content)}`;
+      const speakers = (article.entities || []).filter(e => e.type === 'person' || e.type === 'organization');
+      const add = (quote, direct, context) => {
+        const key = quote.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        const speaker = speakers.find(e => context.includes(e.name)) ||
+          speakers.find(e => e.type === 'person') || null;
+        quotes.push({
+          text: quote,
+          direct,
+          speaker: speaker ? speaker.name : null,
+          storyId: story.id,
+          weight: story.sourceCount * 2 + story.articleCount + (direct ? 3 : 0) + Math.abs(article.sentiment),
+          ...linkTo(article)
+        });
+      };
+
+      for (const match of text.matchAll(DIRECT_QUOTE)) {
+        if (match[1].split(/\s+/).length >= 5) add(match[1].trim(), true, text);
+      }
+      sentencesOf(text).forEach(sentence => {
+        if (REPORTING_VERBS.test(sentence) && speakers.some(e => sentence.includes(e.name))) {
+          add(sentence, false, sentence);
+        }
+      });
+    });
+  });
+
+  return quotes
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, QUOTES)
+    .map(({ weight, ...quote }) => quote);
+}
+
+function escalationAt(articles, time) {
+  const { index, level } = computeEscalation(articles, time.toDate());
+  return { at: time.toISOString(), index, level };
+}
+
+// Structured situation report for [from, to]. articles should reach back
+// lookbackDays() before from and carry clusterIds; clusters are the story clusters.
+// date names the calendar day for single-day briefs.
+function buildBrief({ articles, clusters, from, to, date = null }) {
+  const start = moment(from);
+  const end = moment(to);
+  const inRange = articles.filter(a => moment(a.publishedAt).isBetween(start, end, null, '[]'));
+  const stories = storiesInRange(inRange, clusters);
+
+  const current = escalationAt(articles, end);
+  const previous = escalationAt(articles, moment(end).subtract(1, 'day'));
+  const change = current.index - previous.index;
+
+  const categories = taxonomy.describe().categories
+    .concat([{ id: 'other', label: 'Other', color: '#6c757d' }])
+    .map(category => {
+      const categoryStories = stories.filter(story => story.category === category.id);
+      return {
+        id: category.id,
+        label: category.label,
+        color: category.color,
+        stories: categoryStories.length,
+        articles: categoryStories.reduce((sum, story) => sum + story.articleCount, 0),
+        developments: categoryStories.slice(0, DEVELOPMENTS_PER_CATEGORY).map(describeStory)
+      };
+    })
+    .filter(category => category.stories > 0);
+
+  const topStories = stories.slice(0, TOP_STORIES).map(describeStory);
+
+  const outlets = {};
+  inRange.forEach(article => {
+    const name = (article.outlet && article.outlet.name) || (article.source && article.source.name) || 'Unknown';
+    if (!outlets[name]) {
+      outlets[name] = { name, perspective: article.outlet ? article.outlet.perspective : 'unknown', articles: 0 };
+    }
+    outlets[name].articles++;
+  });
+
+  return {
+    title: 'India-Pakistan Situation Brief',
+    date,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    generatedAt: new Date().toISOString(),
+    overview: {
+      articles: inRange.length,
+      stories: stories.length,
+      sources: Object.keys(outlets).length,
+      sentimentCounts: {
+        positive: inRange.filter(a => a.sentiment > 0).length,
+        neutral: inRange.filter(a => a.sentiment === 0).length,
+        negative: inRange.filter(a => a.sentiment < 0).length
+      },
+      averageSentiment: inRange.length
+        ? round(inRange.reduce((sum, a) => sum + a.sentiment, 0) / inRange.length)
+        : 0
+    },
+    escalation: {
+      current,
+      previous,
+      change,
+      direction: change > 0 ? 'up' : change < 0 ? 'down' : 'unchanged',
+      levelChanged: current.level !== previous.level
+    },
+    // Lead sentence of each top story, as the brief's opening paragraph
+    summary: topStories.map(story => story.summary[0] || story.headline),
+    topStories,
+    categories,
+    quotes: extractQuotes(stories),
+    sources: Object.values(outlets).sort((a, b) => b.articles - a.articles)
+  };
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A link, or just the text when the URL isn't http(s): feeds are untrusted, and a
+// javascript: URL would run on the dashboard's origin
+function linkHtml(url, text) {
+  if (!/^https?:\/\//i.test(url || '')) return escapeHtml(text);
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+function formatRange(brief) {
+  const start = moment(brief.from);
+  const end = moment(brief.to);
+  return start.isSame(end, 'day')
+    ? start.format('dddd, D MMMM YYYY')
+    : `${start.format('D MMM YYYY')} – ${end.format('D MMM YYYY')}`;
+}
+
+function renderStory(story) {
+  const links = story.links
+    .map(link => linkHtml(link.url, link.source || link.title))
+    .join(', ');
+  return `
+    <article class="story">
+      <h4>${linkHtml(story.url, story.headline)}</h4>
+      ${story.summary.map(sentence => `<p>${escapeHtml(sentence)}</p>`).join('')}
+      <p class="meta">${story.articleCount} reports from ${story.sourceCount} outlets &middot; sentiment ${story.sentiment} &middot; ${links}</p>
+    </article>`;
+}
+
+// Printable HTML for a brief; self-contained so it can be saved or printed as is
+function renderBriefHtml(brief) {
+  const { escalation, overview } = brief;
+  const arrow = { up: '▲', down: '▼', unchanged: '■' }[escalation.direction];
+  const change = escalation.change > 0 ? `+${escalation.change}` : `${escalation.change}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(brief.title)} – ${escapeHtml(formatRange(brief))}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #212529; line-height: 1.5; }
+    h1 { font-size: 1.6rem; margin-bottom: 0; }
+    h2 { font-size: 1.2rem; border-bottom: 2px solid #212529; padding-bottom: .25rem; margin-top: 2rem; }
+    h3 { font-size: 1.05rem; margin-bottom: .25rem; }
+    h4 { font-size: 1rem; margin: .75rem 0 .25rem; }
+    a { color: #0d6efd; }
+    .subtitle, .meta { color: #6c757d; font-size: .85rem; }
+    .level { display: inline-block; padding: .15rem .5rem; border-radius: 4px; color: #fff; font-family: sans-serif; font-size: .85rem; }
+    .level-normal { background: #198754; } .level-moderate { background: #0dcaf0; color: #000; }
+    .level-elevated { background: #ffc107; color: #000; } .level-severe { background: #dc3545; }
+    blockquote { margin: .5rem 0; padding-left: 1rem; border-left: 3px solid #adb5bd; }
+    table { border-collapse: collapse; font-size: .85rem; }
+    td, th { padding: .2rem .75rem .2rem 0; text-align: left; }
+    .story { break-inside: avoid; }
+    @media print { a { color: inherit; text-decoration: none; } .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <p class="no-print"><a href="javascript:window.print()">Print this brief</a></p>
+  <h1>${escapeHtml(brief.title)}</h1>
+  <p class="subtitle">${escapeHtml(formatRange(brief))} &middot; generated ${escapeHtml(moment(brief.generatedAt).format('D MMM YYYY HH:mm'))}</p>
+
+  <h2>Situation</h2>
+  <p>
+    <span class="level level-${escapeHtml(escalation.current.level)}">${escapeHtml(escalation.current.level.toUpperCase())}</span>
+    Escalation index <strong>${escalation.current.index}/100</strong>
+    (${arrow} ${change} from ${escalation.previous.index} a day earlier${escalation.levelChanged ? `, was ${escapeHtml(escalation.previous.level)}` : ''}).
+  </p>
+  <p>${overview.articles} articles on ${overview.stories} stories from ${overview.sources} outlets:
+    ${overview.sentimentCounts.negative} negative, ${overview.sentimentCounts.neutral} neutral, ${overview.sentimentCounts.positive} positive.</p>
+  ${brief.summary.map(sentence => `<p>${escapeHtml(sentence)}</p>`).join('')}
+
+  <h2>Most-covered stories</h2>
+  ${brief.topStories.map(renderStory).join('') || '<p>No coverage in this period.</p>'}
+
+  <h2>Key developments by category</h2>
+  ${brief.categories.map(category => `
+    <section>
+      <h3 style="color: ${escapeHtml(category.color)}">${escapeHtml(category.label)} <span class="meta">${category.stories} stories</span></h3>
+      ${category.developments.map(renderStory).join('')}
+    </section>`).join('') || '<p>No coverage in this period.</p>'}
+
+  <h2>Notable quotes</h2>
+  ${brief.quotes.map(quote => `
+    <blockquote>
+      ${quote.direct ? '“' : ''}${escapeHtml(quote.text)}${quote.direct ? '”' : ''}
+      <div class="meta">${quote.speaker ? `${escapeHtml(quote.speaker)} &middot; ` : ''}${linkHtml(quote.url, quote.source)}</div>
+    </blockquote>`).join('') || '<p>No quotes found.</p>'}
+
+  <h2>Sources</h2>
+  <table>
+    <tr><th>Outlet</th><th>Perspective</th><th>Articles</th></tr>
+    ${brief.sources.map(source => `<tr><td>${escapeHtml(source.name)}</td><td>${escapeHtml(source.perspective)}</td><td>${source.articles}</td></tr>`).join('')}
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  lookbackDays,
+  buildBrief,
+  renderBriefHtml
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Single-value cache with TTL, stale-while-revalidate and request coalescing.
+//   load()     - produces the value; only one call runs at a time
+//   ttlMs      - how long a value is served without revalidating
+//   staleMs    - how long past the TTL a stale value may still be served
+//                while a background reload runs
+//   contentOf  - what the ETag covers; leave out fields that change on every
+//                load (timestamps) so unchanged content keeps its ETag
+// Values are stored pre-serialized with an ETag so HTTP handlers can answer 304s cheaply.
+function createCache({ load, ttlMs, staleMs, contentOf = null }) {
+  let entry = null;
+  let inflight = null;
+  let invalidated = false;
+
+  function reload() {
+    if (!inflight) {
+      inflight = Promise.resolve()
+        .then(load)
+        .then(value => {
+          const body = JSON.stringify(value);
+          const content = contentOf ? JSON.stringify(contentOf(value)) : body;
+          const etag = `"${crypto.createHash('sha1').update(content).digest('base64url')}"`;
+          const now = new Date();
+          entry = {
+            value,
+            body,
+            etag,
+            // Unchanged content keeps its original Last-Modified
+            lastModified: entry && entry.etag === etag ? entry.lastModified : now,
+            fetchedAt: now
+          };
+          invalidated = false;
+          return entry;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  }
+
+  function age() {
+    return entry ? Date.now() - entry.fetchedAt.getTime() : Infinity;
+  }
+
+  // Current entry, reloading first only when there is nothing usable to serve
+  async function get() {
+    if (!entry) {
+      return reload();
+    }
+
+    if (age() > ttlMs + staleMs) {
+      try {
+        return await reload();
+      } catch (err) {
+        // Too old to serve without trying, but still better than an error
+        console.error('Cache refresh failed, serving expired value:', err.message);
+        return entry;
+      }
+    }
+
+    if (invalidated || age() > ttlMs) {
+      // Serve what we have; a failed background reload just leaves it in place
+      reload().catch(err => console.error('Background cache refresh failed:', err.message));
+    }
+
+    return entry;
+  }
+
+  // Mark the value outdated and rebuild it in the background; until that
+  // finishes, get() keeps serving the old value
+  function invalidate() {
+    invalidated = true;
+    if (entry) {
+      reload().catch(err => console.error('Background cache refresh failed:', err.message));
+    }
+  }
+
+  // Rebuild now, after any load already running, and resolve with the new entry
+  function refresh() {
+    return (inflight || Promise.resolve()).catch(() => {}).then(reload);
+  }
+
+  return {
+    get,
+    invalidate,
+    refresh,
+    isStale: () => invalidated || age() > ttlMs
+  };
+}
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,216 @@
+const feedback = require('./feedback');
+const { processArticle } = require('./processing');
+const { contentTokens, stem } = require('./text');
+
+// Fewest labels (spread over at least two classes) before a model is trusted
+const MIN_TRAINING_LABELS = parseInt(process.env.CLASSIFIER_MIN_LABELS, 10) || 10;
+const FOLDS = 5;
+
+let models = null;
+
+function features(title, description) {
+  return contentTokens(`${title} ${description || ''}`).map(stem);
+}
+
+// Multinomial naive Bayes with Laplace smoothing
+function trainNaiveBayes(examples) {
+  const classes = {};
+  const vocabulary = new Set();
+
+  examples.forEach(({ tokens, label }) => {
+    const key = String(label);
+    if (!classes[key]) classes[key] = { docCount: 0, tokenCount: 0, counts: {} };
+    const stats = classes[key];
+    stats.docCount++;
+    tokens.forEach(token => {
+      stats.counts[token] = (stats.counts[token] || 0) + 1;
+      stats.tokenCount++;
+      vocabulary.add(token);
+    });
+  });
+
+  return { classes, vocabularySize: vocabulary.size, docCount: examples.length };
+}
+
+// Best class with its posterior probability
+function predictNaiveBayes(model, tokens) {
+  const logScores = Object.entries(model.classes).map(([label, stats]) => {
+    let score = Math.log(stats.docCount / model.docCount);
+    tokens.forEach(token => {
+      score += Math.log(((stats.counts[token] || 0) + 1) / (stats.tokenCount + model.vocabularySize));
+    });
+    return { label, score };
+  });
+
+  // Softmax in log space to turn scores into probabilities
+  const max = Math.max(...logScores.map(s => s.score));
+  const total = logScores.reduce((sum, s) => sum + Math.exp(s.score - max), 0);
+  const ranked = logScores
+    .map(s => ({ label: s.label, probability: Math.exp(s.score - max) / total }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return ranked[0];
+}
+
+function trainable(examples) {
+  return examples.length >= MIN_TRAINING_LABELS &&
+    new Set(examples.map(e => String(e.label))).size >= 2;
+}
+
+// k-fold cross-validated accuracy, or null when there are too few labels
+function crossValidate(examples) {
+  if (!trainable(examples)) return null;
+  let correct = 0;
+  let tested = 0;
+  for (let fold = 0; fold < FOLDS; fold++) {
+    const train = examples.filter((e, i) => i % FOLDS !== fold);
+    const test = examples.filter((e, i) => i % FOLDS === fold);
+    if (!test.length || !trainable(train)) continue;
+    const model = trainNaiveBayes(train);
+    correct += test.filter(e => predictNaiveBayes(model, e.tokens).label === String(e.label)).length;
+    tested += test.length;
+  }
+  return tested ? Math.round((correct / tested) * 1000) / 1000 : null;
+}
+
+function examplesFrom(labels) {
+  const withTokens = labels.map(label => ({ ...label, tokens: features(label.title, label.description) }));
+  return {
+    category: withTokens
+      .filter(l => l.category)
+      .map(l => ({ tokens: l.tokens, label: l.category })),
+    priority: withTokens
+      .filter(l => typeof l.isPriority === 'boolean')
+      .map(l => ({ tokens: l.tokens, label: l.isPriority }))
+  };
+}
+
+// Share of labeled articles where the keyword rules already agree with the analyst
+function rulesAccuracy(labels) {
+  const scored = labels.map(label => ({
+    label,
+    rules: processArticle({ title: label.title, description: label.description })
+  }));
+  const withCategory = scored.filter(s => s.label.category);
+  const withPriority = scored.filter(s => typeof s.label.isPriority === 'boolean');
+  const ratio = (items, agrees) => items.length
+    ? Math.round((items.filter(agrees).length / items.length) * 1000) / 1000
+    : null;
+  return {
+    category: ratio(withCategory, s => s.rules.category === s.label.category),
+    priority: ratio(withPriority, s => s.rules.isPriority === s.label.isPriority)
+  };
+}
+
+// (Re)train both models from the current analyst labels
+function train() {
+  const labels = feedback.getLabels();
+  const examples = examplesFrom(labels);
+  models = {
+    category: trainable(examples.category) ? trainNaiveBayes(examples.category) : null,
+    priority: trainable(examples.priority) ? trainNaiveBayes(examples.priority) : null,
+    trainedAt: new Date().toISOString(),
+    labelCount: labels.length,
+    accuracy: {
+      model: {
+        category: crossValidate(examples.category),
+        priority: crossValidate(examples.priority)
+      },
+      rules: rulesAccuracy(labels)
+    }
+  };
+  return models;
+}
+
+function getModels() {
+  return models || train();
+}
+
+// Model prediction for one article; fields are null when that model isn't trained
+function predict(article) {
+  const { category, priority } = getModels();
+  const tokens = features(article.title, article.description);
+  const categoryPrediction = category ? predictNaiveBayes(category, tokens) : null;
+  const priorityPrediction = priority ? predictNaiveBayes(priority, tokens) : null;
+  return {
+    category: categoryPrediction && categoryPrediction.label,
+    categoryConfidence: categoryPrediction && categoryPrediction.probability,
+    isPriority: priorityPrediction && priorityPrediction.label === 'true',
+    priorityConfidence: priorityPrediction && priorityPrediction.probability
+  };
+}
+
+// The rule labels re-ranked under a new primary category, so filters and alerts
+// that read every label agree with the one shown. 'other' means no label fits,
+// as it does for the rules.
+function withPrimary(categories, category, confidence) {
+  if (category === 'other') return [];
+  const rest = (categories || []).filter(label => label.id !== category);
+  return [{ id: category, confidence: Math.round(confidence * 1000) / 1000 }, ...rest];
+}
+
+// Apply the active classifier and any analyst labels to articles.
+// Rule output is kept in ruleCategory/ruleIsPriority so both can be compared.
+function applyClassifier(articles) {
+  const mode = feedback.getMode();
+  const useModel = mode === 'model';
+
+  return articles.map(article => {
+    const label = feedback.getLabel(article.id);
+    const result = {
+      ...article,
+      ruleCategory: article.category,
+      ruleIsPriority: article.isPriority,
+      classifiedBy: 'rules'
+    };
+
+    if (useModel) {
+      const prediction = predict(article);
+      if (prediction.category) {
+        result.category = prediction.category;
+        result.categoryConfidence = prediction.categoryConfidence;
+        result.categories = withPrimary(article.categories, prediction.category, prediction.categoryConfidence);
+        result.classifiedBy = 'model';
+      }
+      if (prediction.isPriority !== null) {
+        result.isPriority = prediction.isPriority;
+        result.classifiedBy = 'model';
+      }
+    }
+
+    // An analyst's label beats either classifier
+    if (label) {
+      if (label.category) {
+        result.category = label.category;
+        result.categories = [{ id: label.category, confidence: 1 }];
+      }
+      if (typeof label.isPriority === 'boolean') result.isPriority = label.isPriority;
+      result.analystLabel = { category: label.category, isPriority: label.isPriority };
+      result.classifiedBy = 'analyst';
+    }
+
+    return result;
+  });
+}
+
+function getStatus() {
+  const current = getModels();
+  return {
+    mode: feedback.getMode(),
+    labelCount: current.labelCount,
+    minLabels: MIN_TRAINING_LABELS,
+    trainedAt: current.trainedAt,
+    models: {
+      category: Boolean(current.category),
+      priority: Boolean(current.priority)
+    },
+    accuracy: current.accuracy
+  };
+}
+
+module.exports = {
+  train,
+  predict,
+  applyClassifier,
+  getStatus
+};
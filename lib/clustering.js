@@ -0,0 +1,155 @@
+const config = require('../config/clustering');
+const { contentTokens, stem } = require('./text');
+
+// Title words say more about the incident than the description does
+const TITLE_WEIGHT = 2;
+
+function termCounts(article) {
+  const counts = {};
+  const add = (text, weight) => {
+    contentTokens(text).forEach(token => {
+      const term = stem(token);
+      counts[term] = (counts[term] || 0) + weight;
+    });
+  };
+  add(article.title, TITLE_WEIGHT);
+  add(article.description, 1);
+  return counts;
+}
+
+// Inverse document frequency over the batch, so "india" and "pakistan" count for little
+function inverseDocumentFrequency(docs) {
+  const documentFrequency = {};
+  docs.forEach(counts => {
+    Object.keys(counts).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+  const idf = {};
+  Object.entries(documentFrequency).forEach(([term, df]) => {
+    idf[term] = Math.log((docs.length + 1) / (df + 1)) + 1;
+  });
+  return idf;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(Object.values(vector).reduce((sum, v) => sum + v * v, 0));
+  if (!length) return vector;
+  const normalized = {};
+  Object.entries(vector).forEach(([term, v]) => {
+    normalized[term] = v / length;
+  });
+  return normalized;
+}
+
+function cosine(a, b) {
+  const [small, large] = Object.keys(a).length < Object.keys(b).length ? [a, b] : [b, a];
+  let dot = 0;
+  Object.entries(small).forEach(([term, v]) => {
+    if (large[term]) dot += v * large[term];
+  });
+  return dot;
+}
+
+function addToCentroid(cluster, vector) {
+  Object.entries(vector).forEach(([term, v]) => {
+    cluster.sum[term] = (cluster.sum[term] || 0) + v;
+  });
+  cluster.centroid = normalize(cluster.sum);
+}
+
+function mostCommon(values) {
+  const counts = {};
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function summarize(cluster) {
+  const members = cluster.members;
+  // The member closest to the centroid reads most like the story as a whole
+  const representative = members.reduce((best, member) =>
+    cosine(member.vector, cluster.centroid) > cosine(best.vector, cluster.centroid) ? member : best
+  ).article;
+  const articles = members.map(m => m.article);
+  const sources = [...new Set(articles.map(a => a.source && a.source.name).filter(Boolean))];
+  const dates = articles.map(a => new Date(a.publishedAt).getTime());
+
+  return {
+    id: cluster.id,
+    headline: representative.title,
+    url: representative.url,
+    description: representative.description,
+    articleIds: articles.map(a => a.id),
+    articleCount: articles.length,
+    sources,
+    sourceCount: sources.length,
+    category: mostCommon(articles.map(a => a.category)),
+    sentiment: articles.reduce((sum, a) => sum + a.sentiment, 0) / articles.length,
+    isPriority: articles.some(a => a.isPriority),
+    firstPublishedAt: new Date(Math.min(...dates)).toISOString(),
+    lastPublishedAt: new Date(Math.max(...dates)).toISOString()
+  };
+}
+
+// Group articles into stories by text similarity and time proximity.
+// Returns clusters newest first; each article's id appears in exactly one cluster.
+function clusterArticles(articles, options = {}) {
+  const threshold = options.threshold || config.similarityThreshold;
+  const windowMs = (options.windowHours || config.windowHours) * 60 * 60 * 1000;
+
+  const sorted = [...articles].sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+  const counts = sorted.map(termCounts);
+  const idf = inverseDocumentFrequency(counts);
+  const clusters = [];
+
+  sorted.forEach((article, i) => {
+    const vector = {};
+    Object.entries(counts[i]).forEach(([term, tf]) => {
+      vector[term] = tf * idf[term];
+    });
+    const normalized = normalize(vector);
+    const publishedAt = new Date(article.publishedAt).getTime();
+
+    let best = null;
+    let bestScore = threshold;
+    clusters.forEach(cluster => {
+      if (publishedAt - cluster.lastPublishedAt > windowMs) return;
+      const score = cosine(normalized, cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+
+    if (!best) {
+      // Earliest member's id keeps the cluster id stable as new reports arrive
+      best = { id: article.id, members: [], sum: {}, centroid: {}, lastPublishedAt: publishedAt };
+      clusters.push(best);
+    }
+    best.members.push({ article, vector: normalized });
+    best.lastPublishedAt = Math.max(best.lastPublishedAt, publishedAt);
+    addToCentroid(best, normalized);
+  });
+
+  return clusters
+    .map(summarize)
+    .sort((a, b) => new Date(b.lastPublishedAt) - new Date(a.lastPublishedAt));
+}
+
+// Copy of the articles with each one's clusterId filled in
+function annotateClusters(articles, clusters) {
+  const clusterOf = {};
+  clusters.forEach(cluster => {
+    cluster.articleIds.forEach(id => {
+      clusterOf[id] = cluster.id;
+    });
+  });
+  return articles.map(article => ({ ...article, clusterId: clusterOf[article.id] || article.id }));
+}
+
+module.exports = {
+  clusterArticles,
+  annotateClusters
+};
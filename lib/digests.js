@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const nodemailer = require('nodemailer');
+const config = require('../config/digests');
+const taxonomy = require('./taxonomy');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const DIGESTS_FILE = dataPath('digests.json');
+const writeDigests = createWriter(DIGESTS_FILE);
+
+const FREQUENCIES = {
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 }
+};
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Subscriptions keyed by id, plus the period each digest was last sent for
+let store = null;
+let transport = null;
+let timer = null;
+// Returns the current /api/news payload; set by start()
+let loadPayload = null;
+
+function load() {
+  if (!store) {
+    store = readJson(DIGESTS_FILE, {});
+    store.subscriptions = store.subscriptions || {};
+    store.lastSent = store.lastSent || {};
+  }
+  return store;
+}
+
+function save() {
+  return writeDigests(load());
+}
+
+function newToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getTransport() {
+  if (!transport) {
+    const { host, port, secure, user, pass } = config.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return transport;
+}
+
+function linkFor(action, token) {
+  return `${config.publicUrl}/digests/${action}?token=${token}`;
+}
+
+function validate(input) {
+  const errors = [];
+  if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+    errors.push('email must be an email address');
+  }
+  if (!FREQUENCIES[input.frequency]) {
+    errors.push(`frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+  }
+  return errors;
+}
+
+function sendConfirmation(subscription) {
+  const { label } = FREQUENCIES[subscription.frequency];
+  const confirmUrl = linkFor('confirm', subscription.confirmToken);
+  return getTransport().sendMail({
+    from: config.from,
+    to: subscription.email,
+    subject: `Confirm your ${label.toLowerCase()} India-Pakistan news digest`,
+    text: `Someone, hopefully you, asked for the ${label.toLowerCase()} India-Pakistan news digest at this address.\n\n` +
+      `Confirm the subscription: ${confirmUrl}\n\nIf it wasn't you, ignore this email and nothing will be sent.\n`,
+    html: `<p>Someone, hopefully you, asked for the ${label.toLowerCase()} India-Pakistan news digest at this address.</p>` +
+      `<p><a href="${escapeHtml(confirmUrl)}">Confirm the subscription</a></p>` +
+      '<p style="color:#6c757d">If it wasn\'t you, ignore this email and nothing will be sent.</p>'
+  });
+}
+
+// Start a subscription, or resend the confirmation for a pending one. Nothing is
+// sent to the address until the link in the confirmation email is followed.
+// Returns 'pending' or 'active'.
+async function subscribe({ email, frequency }) {
+  const address = email.trim().toLowerCase();
+  const current = load();
+  let subscription = Object.values(current.subscriptions)
+    .find(s => s.email === address && s.frequency === frequency);
+  if (subscription && subscription.status === 'active') return 'active';
+
+  if (!subscription) {
+    subscription = {
+      id: crypto.randomBytes(8).toString('hex'),
+      email: address,
+      frequency,
+      status: 'pending',
+      confirmToken: newToken(),
+      unsubscribeToken: newToken(),
+      createdAt: new Date().toISOString(),
+      confirmedAt: null,
+      lastSentAt: null
+    };
+    current.subscriptions[subscription.id] = subscription;
+    await save();
+  }
+  await sendConfirmation(subscription);
+  return 'pending';
+}
+
+function findByToken(field, token) {
+  if (typeof token !== 'string' || !token) return null;
+  return Object.values(load().subscriptions).find(s => s[field] === token) || null;
+}
+
+// Activate the subscription a confirmation link belongs to
+async function confirm(token) {
+  const subscription = findByToken('confirmToken', token);
+  if (!subscription) return null;
+  if (subscription.status !== 'active') {
+    subscription.status = 'active';
+    subscription.confirmedAt = new Date().toISOString();
+    await save();
+  }
+  return subscription;
+}
+
+// The subscription an unsubscribe link belongs to, without changing anything
+function findUnsubscribe(token) {
+  return findByToken('unsubscribeToken', token);
+}
+
+async function unsubscribe(token) {
+  const subscription = findUnsubscribe(token);
+  if (!subscription) return null;
+  delete load().subscriptions[subscription.id];
+  await save();
+  return subscription;
+}
+
+function categoryLabels() {
+  const labels = { other: 'Other' };
+  taxonomy.describe().categories.forEach(category => {
+    labels[category.id] = category.label;
+  });
+  return labels;
+}
+
+// Digest for the day or week up to now, from an /api/news payload: the crisis
+// level, a category and sentiment summary, the most negative priority articles
+// and the significant events reported in the period
+function buildDigest({ articles, analytics }, frequency, now = new Date()) {
+  const { label, days } = FREQUENCIES[frequency];
+  const to = moment(now);
+  const from = to.clone().subtract(days, 'days');
+  const inPeriod = articles.filter(a => moment(a.publishedAt).isBetween(from, to, null, '(]'));
+
+  const labels = categoryLabels();
+  const categoryCounts = {};
+  inPeriod.forEach(article => {
+    categoryCounts[article.category] = (categoryCounts[article.category] || 0) + 1;
+  });
+
+  const priority = inPeriod.filter(a => a.isPriority);
+
+  return {
+    frequency,
+    title: `${label} India-Pakistan news digest`,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    crisis: {
+      level: analytics.crisisLevel,
+      index: analytics.escalation ? analytics.escalation.index : null
+    },
+    overview: {
+      articles: inPeriod.length,
+      priority: priority.length,
+      sentimentCounts: {
+        positive: inPeriod.filter(a => a.sentiment > 0).length,
+        neutral: inPeriod.filter(a => a.sentiment === 0).length,
+        negative: inPeriod.filter(a => a.sentiment < 0).length
+      }
+    },
+    categories: Object.entries(categoryCounts)
+      .map(([id, count]) => ({ id, label: labels[id] || id, count }))
+      .sort((a, b) => b.count - a.count),
+    priorityArticles: priority
+      .sort((a, b) => a.sentiment - b.sentiment || moment(b.publishedAt).diff(moment(a.publishedAt)))
+      .slice(0, config.topArticles)
+      .map(article => ({
+        title: article.title,
+        url: article.url,
+        source: article.source && article.source.name,
+        publishedAt: article.publishedAt,
+        category: labels[article.category] || article.category,
+        sentiment: article.sentiment
+      })),
+    significantEvents: (analytics.events || [])
+      .filter(event => moment(event.date).isBetween(from, to, null, '(]'))
+      .slice(0, config.topEvents)
+      .map(event => ({
+        label: event.label,
+        title: event.title,
+        url: event.url,
+        date: event.date,
+        location: event.location ? event.location.name : null,
+        reportCount: event.reportCount
+      }))
+  };
+}
+
+function periodText(digest) {
+  return digest.frequency === 'daily'
+    ? moment(digest.to).format('D MMM YYYY')
+    : `${moment(digest.from).format('D MMM')} – ${moment(digest.to).format('D MMM YYYY')}`;
+}
+
+function subjectFor(digest) {
+  const index = digest.crisis.index !== null ? ` (index ${digest.crisis.index})` : '';
+  return `${digest.title}: ${String(digest.crisis.level).toUpperCase()}${index} – ${periodText(digest)}`;
+}
+
+function sentimentText({ sentimentCounts }) {
+  return `${sentimentCounts.negative} negative, ${sentimentCounts.neutral} neutral, ${sentimentCounts.positive} positive`;
+}
+
+function reportsText(event) {
+  return `${event.reportCount} report${event.reportCount === 1 ? '' : 's'}`;
+}
+
+function renderDigestText(digest, unsubscribeUrl) {
+  const lines = [
+    digest.title,
+    periodText(digest),
+    '',
+    `Situation: ${String(digest.crisis.level).toUpperCase()}${digest.crisis.index !== null ? `, escalation index ${digest.crisis.index}/100` : ''}`,
+    `${digest.overview.articles} articles (${digest.overview.priority} priority): ${sentimentText(digest.overview)}`,
+    digest.categories.map(c => `${c.label} ${c.count}`).join(' · '),
+    '',
+    'PRIORITY ARTICLES'
+  ];
+  if (!digest.priorityArticles.length) lines.push('None in this period.');
+  digest.priorityArticles.forEach(article => {
+    lines.push(`- ${article.title} (${article.source || 'unknown source'}, ${article.category})`, `  ${article.url}`);
+  });
+  lines.push('', 'SIGNIFICANT EVENTS');
+  if (!digest.significantEvents.length) lines.push('None in this period.');
+  digest.significantEvents.forEach(event => {
+    const where = event.location ? `, ${event.location}` : '';
+    lines.push(`- ${event.label}${where}: ${event.title} (${reportsText(event)})`, `  ${event.url}`);
+  });
+  if (unsubscribeUrl) lines.push('', `Unsubscribe: ${unsubscribeUrl}`);
+  return `${lines.join('\n')}\n`;
+}
+
+const LEVEL_COLORS = { normal: '#198754', moderate: '#0dcaf0', elevated: '#ffc107', severe: '#dc3545' };
+
+// HTML for mail clients: inline styles only, no scripts or external stylesheets
+function renderDigestHtml(digest, unsubscribeUrl) {
+  const link = 'color:#0d6efd';
+  const muted = 'color:#6c757d;font-size:13px';
+  const heading = 'font-size:16px;border-bottom:2px solid #212529;padding-bottom:4px;margin:24px 0 8px';
+  const levelColor = LEVEL_COLORS[digest.crisis.level] || '#6c757d';
+  const list = (items, render) => items.length
+    ? `<ul style="padding-left:18px;margin:0">${items.map(item => `<li style="margin-bottom:8px">${render(item)}</li>`).join('')}</ul>`
+    : `<p style="${muted}">None in this period.</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(subjectFor(digest))}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#212529;line-height:1.5;max-width:640px;margin:0 auto;padding:16px">
+  <h1 style="font-size:20px;margin:0">${escapeHtml(digest.title)}</h1>
+  <p style="${muted};margin-top:0">${escapeHtml(periodText(digest))}</p>
+
+  <p>
+    <span style="display:inline-block;padding:2px 8px;border-radius:4px;background:${levelColor};color:#fff;font-weight:bold">${escapeHtml(String(digest.crisis.level).toUpperCase())}</span>
+    ${digest.crisis.index !== null ? `Escalation index <strong>${digest.crisis.index}/100</strong>` : ''}
+  </p>
+  <p>${digest.overview.articles} articles, ${digest.overview.priority} priority: ${escapeHtml(sentimentText(digest.overview))}.</p>
+  <p style="${muted}">${digest.categories.map(c => `${escapeHtml(c.label)} ${c.count}`).join(' &middot; ')}</p>
+
+  <h2 style="${heading}">Priority articles</h2>
+  ${list(digest.priorityArticles, article => `<a href="${escapeHtml(article.url)}" style="${link}">${escapeHtml(article.title)}</a><br>
+    <span style="${muted}">${escapeHtml(article.source || 'Unknown source')} &middot; ${escapeHtml(article.category)} &middot; sentiment ${article.sentiment}</span>`)}
+
+  <h2 style="${heading}">Significant events</h2>
+  ${list(digest.significantEvents, event => `<strong>${escapeHtml(event.label)}</strong>${event.location ? ` &middot; ${escapeHtml(event.location)}` : ''}<br>
+    <a href="${escapeHtml(event.url)}" style="${link}">${escapeHtml(event.title)}</a>
+    <span style="${muted}">(${reportsText(event)})</span>`)}
+
+  ${unsubscribeUrl ? `<p style="${muted};margin-top:32px">You are receiving this because you subscribed to the ${escapeHtml(digest.frequency)} digest.
+    <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6c757d">Unsubscribe</a></p>` : ''}
+</body>
+</html>
+`;
+}
+
+// A short page for the links in the emails; with a button, it posts to its action
+function renderNotice(title, message, button = null) {
+  const form = button
+    ? `<form method="post" action="${escapeHtml(button.action)}"><button type="submit" style="font-size:16px;padding:.5rem 1rem">${escapeHtml(button.label)}</button></form>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#212529;max-width:640px;margin:3rem auto;padding:0 1rem">
+  <h1 style="font-size:20px">${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${form}
+</body>
+</html>
+`;
+}
+
+// Email a digest to every active subscriber of its frequency. One failed
+// address doesn't stop the rest. Returns how many were sent.
+async function sendDigest(frequency, payload) {
+  const digest = buildDigest(payload, frequency);
+  const subscribers = Object.values(load().subscriptions)
+    .filter(s => s.status === 'active' && s.frequency === frequency);
+
+  let sent = 0;
+  for (const subscription of subscribers) {
+    const unsubscribeUrl = linkFor('unsubscribe', subscription.unsubscribeToken);
+    try {
+      await getTransport().sendMail({
+        from: config.from,
+        to: subscription.email,
+        subject: subjectFor(digest),
+        text: renderDigestText(digest, unsubscribeUrl),
+        html: renderDigestHtml(digest, unsubscribeUrl),
+        // One-click unsubscribe from the mail client (RFC 8058)
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      subscription.lastSentAt = new Date().toISOString();
+      sent++;
+    } catch (err) {
+      console.error(`Failed to send ${frequency} digest to ${subscription.email}:`, err.message);
+    }
+  }
+  await save();
+  console.log(`Sent ${frequency} digest to ${sent} of ${subscribers.length} subscribers`);
+  return sent;
+}
+
+// The day or ISO week a digest covers, so each one goes out once per period
+function periodKey(frequency, now) {
+  return frequency === 'daily' ? now.format('YYYY-MM-DD') : now.format('GGGG-[W]WW');
+}
+
+// Daily digests go out from the send hour; weekly ones from the send hour on the
+// weekly day, or later that week if the server was down
+function isDue(frequency, now) {
+  if (frequency === 'weekly') {
+    const day = now.isoWeekday();
+    if (day < config.weeklyDay || (day === config.weeklyDay && now.hour() < config.sendHourUtc)) return false;
+    return true;
+  }
+  return now.hour() >= config.sendHourUtc;
+}
+
+async function checkDue() {
+  const now = moment.utc();
+  const current = load();
+  for (const frequency of Object.keys(FREQUENCIES)) {
+    const key = periodKey(frequency, now);
+    if (!isDue(frequency, now) || current.lastSent[frequency] === key) continue;
+    // Marked before sending so a slow or failing send isn't repeated every check
+    current.lastSent[frequency] = key;
+    await save();
+    try {
+      await sendDigest(frequency, await loadPayload());
+    } catch (err) {
+      console.error(`Failed to send ${frequency} digest:`, err.message);
+    }
+  }
+}
+
+// Check for due digests every few minutes. load returns the current /api/news payload.
+function start(load) {
+  if (timer) return;
+  loadPayload = load;
+  const check = () => checkDue().catch(err => console.error('Digest check failed:', err.message));
+  check();
+  timer = setInterval(check, config.checkMinutes * 60 * 1000);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  validate,
+  subscribe,
+  confirm,
+  findUnsubscribe,
+  unsubscribe,
+  buildDigest,
+  renderDigestHtml,
+  renderDigestText,
+  renderNotice,
+  sendDigest,
+  start,
+  stop
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { keywordPattern } = require('./taxonomy');
+
+const GAZETTEER_FILE = process.env.ENTITY_GAZETTEER ||
+  path.join(__dirname, '..', 'config', 'entities.json');
+
+// Titles that introduce a person's name: "Defence Minister Rajnath Singh"
+const PERSON_TITLES = [
+  'Prime Minister', 'PM', 'President', 'Vice President', 'Vice-President', 'vice-president', 'Foreign Minister',
+  'Defence Minister', 'Defense Minister', 'Home Minister', 'Interior Minister',
+  'Information Minister', 'External Affairs Minister', 'Finance Minister', 'Chief Minister',
+  'Minister', 'Foreign Secretary', 'Secretary of State', 'Secretary-General', 'National Security Adviser',
+  'NSA', 'Army Chief', 'Chief of Army Staff', 'COAS', 'Field Marshal', 'General', 'Gen',
+  'Lt Gen', 'Lieutenant General', 'Major General', 'Maj Gen', 'Brigadier', 'Colonel', 'Col',
+  'Air Chief Marshal', 'Admiral', 'Spokesperson', 'spokesperson', 'Senator', 'Ambassador',
+  'envoy', 'High Commissioner'
+];
+
+// Place suffixes that mark a name as a location: "Krishna Ghati sector"
+const PLACE_SUFFIXES = ['district', 'districts', 'sector', 'valley', 'town', 'village', 'tehsil', 'region'];
+
+const NAME = "[A-Z][a-zA-Z'’-]+(?:\\s+[A-Z][a-zA-Z'’-]+){0,3}";
+const PERSON_PATTERN = new RegExp(
+  `(?<![A-Za-z])(?:${PERSON_TITLES.map(t => t.replace(/\s+/g, '\\.?\\s+')).join('|')})\\.?\\s+(${NAME})`,
+  'g'
+);
+const PLACE_PATTERN = new RegExp(`(?<![A-Za-z])(${NAME})\\s+(?:${PLACE_SUFFIXES.join('|')})(?![a-z])`, 'g');
+
+// Capitalized words that follow a title but are never part of a name
+const NOT_NAMES = new Set([
+  'The', 'And', 'Of', 'On', 'In', 'Said', 'Says', 'Pakistan', 'India', 'Indian', 'Pakistani',
+  'Office', 'Headquarters', 'Staff', 'Assembly', 'Council', 'Officer', 'Officers'
+]);
+
+// Words of the titles themselves, dropped from the front of a captured name
+// so "Director General Lt Gen Ahmed Sharif" yields "Ahmed Sharif"
+const TITLE_WORDS = new Set(PERSON_TITLES.join(' ').split(/\s+/).concat(['Lt', 'Maj', 'Deputy', 'Director']));
+
+let gazetteer = null;
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Alias matchers for gazetteer entries, longest alias first so "J&K Police" wins
+// over "J&K". Entries list their aliases and which of them only match exact case.
+function compileAliases(entries) {
+  const matchers = [];
+  entries.forEach(entry => {
+    const caseSensitive = entry.caseSensitive || [];
+    (entry.aliases || [entry.name]).forEach(alias => {
+      matchers.push({
+        entry,
+        alias,
+        pattern: new RegExp(keywordPattern(alias).source, caseSensitive.includes(alias) ? 'g' : 'gi')
+      });
+    });
+  });
+  return matchers.sort((a, b) => b.alias.length - a.alias.length);
+}
+
+// Call onMatch(entry) for every alias found in the text and return the text with
+// the matches blanked out, so shorter aliases inside them don't match again
+function matchAliases(text, matchers, onMatch) {
+  let remaining = text || '';
+  matchers.forEach(({ entry, pattern }) => {
+    remaining = remaining.replace(pattern, match => {
+      onMatch(entry);
+      return ' '.repeat(match.length);
+    });
+  });
+  return remaining;
+}
+
+function compile(raw) {
+  const entities = raw.entities.map(entity => ({
+    id: entity.id,
+    name: entity.name,
+    type: entity.type,
+    side: entity.side || null,
+    aliases: entity.aliases || [entity.name],
+    caseSensitive: entity.caseSensitive || []
+  }));
+
+  const byAlias = {};
+  entities.forEach(entity => {
+    entity.aliases.forEach(alias => {
+      byAlias[alias.toLowerCase()] = entity;
+    });
+  });
+
+  return {
+    version: raw.version || 1,
+    types: raw.types || {},
+    entities,
+    matchers: compileAliases(entities),
+    byAlias
+  };
+}
+
+function load() {
+  if (!gazetteer) {
+    const text = fs.readFileSync(GAZETTEER_FILE, 'utf8');
+    gazetteer = {
+      ...compile(JSON.parse(text)),
+      fingerprint: crypto.createHash('sha1').update(text).digest('hex')
+    };
+  }
+  return gazetteer;
+}
+
+// Changes whenever the gazetteer file does
+function fingerprint() {
+  return load().fingerprint;
+}
+
+// Strip trailing words that can't be part of the name ("Ishaq Dar Said" -> "Ishaq Dar")
+function cleanName(name) {
+  const words = name.split(/\s+/).map(word => word.replace(/['’]s$/, ''));
+  while (words.length && TITLE_WORDS.has(words[0])) words.shift();
+  while (words.length && NOT_NAMES.has(words[words.length - 1])) words.pop();
+  if (words.some(word => NOT_NAMES.has(word))) return null;
+  return words.join(' ') || null;
+}
+
+// Entities named in the text: gazetteer aliases first, then names found by the
+// title and place-suffix rules. Each entity appears once with its mention count,
+// most mentioned first; rule matches that are known aliases resolve to the gazetteer.
+function extractEntities(text) {
+  const { matchers, byAlias } = load();
+  const found = {};
+
+  const add = (entity, source) => {
+    if (!found[entity.id]) {
+      found[entity.id] = {
+        id: entity.id,
+        name: entity.name,
+        type: entity.type,
+        side: entity.side || null,
+        mentions: 0,
+        source
+      };
+    }
+    found[entity.id].mentions++;
+  };
+
+  const remaining = matchAliases(text, matchers, entity => add(entity, 'gazetteer'));
+
+  const fromRule = (pattern, type) => {
+    for (const match of remaining.matchAll(pattern)) {
+      const name = cleanName(match[1]);
+      if (!name) continue;
+      const known = byAlias[name.toLowerCase()];
+      add(known || { id: slugify(name), name, type }, known ? 'gazetteer' : 'rule');
+    }
+  };
+  fromRule(PERSON_PATTERN, 'person');
+  fromRule(PLACE_PATTERN, 'location');
+
+  return Object.values(found).sort((a, b) => b.mentions - a.mentions);
+}
+
+// The gazetteer without compiled patterns, for clients
+function describe() {
+  const { version, types, entities } = load();
+  return {
+    version,
+    types,
+    entities: entities.map(({ id, name, type, side, aliases }) => ({ id, name, type, side, aliases }))
+  };
+}
+
+module.exports = {
+  compileAliases,
+  matchAliases,
+  extractEntities,
+  describe,
+  fingerprint
+};
@@ -0,0 +1,212 @@
+const moment = require('moment');
+const config = require('../config/escalation');
+const clusteringConfig = require('../config/clustering');
+const { priorityKeywordsIn } = require('./processing');
+const { isInScope } = require('./relevance');
+
+const LEVELS = ['severe', 'elevated', 'moderate'];
+const ARTICLES_PER_SIGNAL = 5;
+
+const SIGNAL_LABELS = {
+  volumeSpike: 'Volume spike',
+  negativeIntensity: 'Negative sentiment intensity',
+  priorityDensity: 'Priority keyword density',
+  sourceDiversity: 'Source diversity'
+};
+
+// Count articles, or distinct stories when they carry a clusterId, so ten
+// reports of one incident don't count as ten incidents
+function countItems(articles) {
+  if (clusteringConfig.crisisCountBy !== 'story') return articles.length;
+  return new Set(articles.map(a => a.clusterId || a.id || a.url)).size;
+}
+
+function isConflict(article) {
+  const labels = [article.category, ...(article.categories || []).map(label => label.id)];
+  return config.conflictCategories.some(id => labels.includes(id));
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function articleRef(article, extra = {}) {
+  return {
+    id: article.id,
+    title: article.title,
+    url: article.url,
+    source: article.source && article.source.name,
+    publishedAt: article.publishedAt,
+    sentiment: article.sentiment,
+    ...extra
+  };
+}
+
+// Recent conflict stories per day against the baseline rate before the window
+function volumeSpike(recentConflict, baselineConflict) {
+  const { windowHours, baselineDays, saturation } = config;
+  const recentRate = countItems(recentConflict) / (windowHours / 24);
+  const baselineRate = countItems(baselineConflict) / baselineDays;
+  const ratio = recentRate / Math.max(baselineRate, saturation.minBaselinePerDay);
+  return {
+    score: clamp((ratio - 1) / (saturation.volumeRatio - 1)),
+    value: round(ratio),
+    detail: `${round(recentRate, 1)} conflict stories/day vs. ${round(baselineRate, 1)}/day baseline`,
+    articles: [...recentConflict]
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+      .slice(0, ARTICLES_PER_SIGNAL)
+      .map(article => articleRef(article))
+  };
+}
+
+// How negative recent conflict coverage is on average
+function negativeIntensity(recentConflict) {
+  const negativity = recentConflict.map(a => Math.max(0, -a.sentiment));
+  const average = negativity.length ? negativity.reduce((sum, v) => sum + v, 0) / negativity.length : 0;
+  return {
+    score: clamp(average / config.saturation.negativeSentiment),
+    value: round(average),
+    detail: `Average negativity ${round(average, 1)} across ${recentConflict.length} conflict articles`,
+    articles: recentConflict
+      .filter(a => a.sentiment < 0)
+      .sort((a, b) => a.sentiment - b.sentiment)
+      .slice(0, ARTICLES_PER_SIGNAL)
+      .map(article => articleRef(article))
+  };
+}
+
+// Distinct high-priority keywords per recent article
+function priorityDensity(recent) {
+  const withKeywords = recent.map(article => ({
+    article,
+    keywords: priorityKeywordsIn(`${article.title} ${article.description || ''}`)
+  }));
+  const total = withKeywords.reduce((sum, entry) => sum + entry.keywords.length, 0);
+  const average = recent.length ? total / recent.length : 0;
+  const keywordCounts = {};
+  withKeywords.forEach(({ keywords }) => {
+    keywords.forEach(keyword => {
+      keywordCounts[keyword] = (keywordCounts[keyword] || 0) + 1;
+    });
+  });
+  const topKeywords = Object.entries(keywordCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([keyword]) => keyword);
+  return {
+    score: clamp(average / config.saturation.keywordsPerArticle),
+    value: round(average),
+    detail: `${round(average, 1)} priority keywords per article` +
+      (topKeywords.length ? ` (most often: ${topKeywords.join(', ')})` : ''),
+    articles: withKeywords
+      .filter(entry => entry.keywords.length)
+      .sort((a, b) => b.keywords.length - a.keywords.length)
+      .slice(0, ARTICLES_PER_SIGNAL)
+      .map(({ article, keywords }) => articleRef(article, { keywords }))
+  };
+}
+
+// How many different outlets carry negative conflict reports, so one outlet's
+// alarm counts for less than the same story everywhere
+function sourceDiversity(recentConflict) {
+  const negative = recentConflict.filter(a => a.sentiment < 0);
+  const byOutlet = {};
+  negative.forEach(article => {
+    const outlet = (article.outlet && article.outlet.name) || (article.source && article.source.name);
+    if (!outlet) return;
+    if (!byOutlet[outlet] || article.sentiment < byOutlet[outlet].sentiment) byOutlet[outlet] = article;
+  });
+  const outlets = Object.keys(byOutlet);
+  const perspectives = new Set(negative
+    .map(a => a.outlet && a.outlet.perspective)
+    .filter(p => p && p !== 'unknown'));
+  return {
+    score: clamp(outlets.length / config.saturation.outlets),
+    value: outlets.length,
+    detail: `${outlets.length} outlets across ${perspectives.size} perspectives report negative conflict news`,
+    articles: Object.values(byOutlet)
+      .sort((a, b) => a.sentiment - b.sentiment)
+      .slice(0, ARTICLES_PER_SIGNAL)
+      .map(article => articleRef(article))
+  };
+}
+
+function levelFor(index) {
+  return LEVELS.find(level => index >= config.thresholds[level]) || 'normal';
+}
+
+// Escalation index (0-100) over the recent window with a breakdown of the signals
+// and articles behind it. Sports and off-topic articles don't count.
+function computeEscalation(articles, now = new Date()) {
+  const windowStart = moment(now).subtract(config.windowHours, 'hours');
+  const baselineStart = moment(windowStart).subtract(config.baselineDays, 'days');
+
+  const inWindow = (articles || []).filter(a =>
+    moment(a.publishedAt).isAfter(windowStart) && !moment(a.publishedAt).isAfter(now));
+  const recent = inWindow.filter(isInScope);
+  const baseline = (articles || []).filter(a =>
+    moment(a.publishedAt).isAfter(baselineStart) && !moment(a.publishedAt).isAfter(windowStart) &&
+    isInScope(a));
+  const recentConflict = recent.filter(isConflict);
+
+  const signals = {
+    volumeSpike: volumeSpike(recentConflict, baseline.filter(isConflict)),
+    negativeIntensity: negativeIntensity(recentConflict),
+    priorityDensity: priorityDensity(recent),
+    sourceDiversity: sourceDiversity(recentConflict)
+  };
+
+  const totalWeight = Object.keys(signals).reduce((sum, id) => sum + (config.weights[id] || 0), 0) || 1;
+  const breakdown = Object.entries(signals).map(([id, signal]) => {
+    const weight = (config.weights[id] || 0) / totalWeight;
+    return {
+      id,
+      label: SIGNAL_LABELS[id],
+      weight: round(weight),
+      score: round(signal.score),
+      contribution: round(signal.score * weight * 100, 1),
+      value: signal.value,
+      detail: signal.detail,
+      articles: signal.articles
+    };
+  });
+
+  const index = Math.round(breakdown.reduce((sum, signal) => sum + signal.contribution, 0));
+
+  // Articles behind the most signals first
+  const contributing = {};
+  breakdown.forEach(signal => {
+    signal.articles.forEach(article => {
+      const key = article.id || article.url;
+      if (!contributing[key]) contributing[key] = { ...article, signals: [] };
+      contributing[key].signals.push(signal.id);
+    });
+  });
+
+  return {
+    index,
+    level: levelFor(index),
+    thresholds: config.thresholds,
+    window: {
+      hours: config.windowHours,
+      from: windowStart.toISOString(),
+      to: moment(now).toISOString(),
+      articles: recent.length,
+      conflictArticles: recentConflict.length,
+      excludedArticles: inWindow.length - recent.length
+    },
+    signals: breakdown,
+    articles: Object.values(contributing)
+      .sort((a, b) => b.signals.length - a.signals.length || a.sentiment - b.sentiment)
+      .slice(0, 10)
+  };
+}
+
+module.exports = {
+  computeEscalation
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { keywordPattern } = require('./taxonomy');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+const { RETENTION_DAYS } = require('./articleStore');
+
+const EVENT_RULES_FILE = process.env.EVENT_RULES_FILE ||
+  path.join(__dirname, '..', 'config', 'events.json');
+
+const ACTOR_TYPES = ['person', 'organization', 'militant_group'];
+const COUNTRIES = [
+  { id: 'india', name: 'India', type: 'country', pattern: /\bindia(?:n|'s|’s)?\b/i },
+  { id: 'pakistan', name: 'Pakistan', type: 'country', pattern: /\bpakistan(?:i|'s|’s)?\b/i }
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, 'a dozen': 12, dozen: 12
+};
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const QUALIFIER = '(?:at least|more than|over|nearly|around|about|some|up to)\\s+';
+const CASUALTY_VERBS = {
+  killed: 'killed|dead|died|martyred|slain|lost their lives',
+  injured: 'injured|wounded|hurt'
+};
+
+const EVENT_IDS_FILE = dataPath('event-ids.json');
+const writeEventIds = createWriter(EVENT_IDS_FILE);
+
+let rules = null;
+// The event id each report was given, keyed by `${type}:${articleId}`, so an event
+// keeps its id when its first report ages out or an earlier one turns up
+let assignedIds = null;
+
+function compile(raw) {
+  const compilePhrases = phrases => phrases.map(phrase => new RegExp(keywordPattern(phrase).source));
+  return {
+    version: raw.version || 1,
+    mergeWindowHours: raw.mergeWindowHours || 48,
+    types: raw.types.map(type => ({
+      id: type.id,
+      label: type.label || type.id,
+      color: type.color || '#6c757d',
+      any: compilePhrases(type.any || []),
+      all: (type.all || []).map(compilePhrases)
+    }))
+  };
+}
+
+function load() {
+  if (!rules) {
+    rules = compile(JSON.parse(fs.readFileSync(EVENT_RULES_FILE, 'utf8')));
+  }
+  return rules;
+}
+
+// Event types the text describes: any single trigger phrase, or one keyword from
+// every group of a combination ("ceasefire" + "violated")
+function matchTypes(text) {
+  const lower = text.toLowerCase();
+  return load().types.filter(type =>
+    type.any.some(pattern => pattern.test(lower)) ||
+    (type.all.length > 0 && type.all.every(group => group.some(pattern => pattern.test(lower)))));
+}
+
+function parseNumber(word) {
+  const lower = word.toLowerCase();
+  return /^\d+$/.test(lower) ? parseInt(lower, 10) : NUMBER_WORDS[lower];
+}
+
+// Largest reported death and injury counts: "killed at least 12 civilians",
+// "26 tourists were killed", "kills 12", "two soldiers injured"
+function extractCasualties(text) {
+  const casualties = { killed: null, injured: null };
+  Object.entries(CASUALTY_VERBS).forEach(([field, verbs]) => {
+    const stem = field === 'killed' ? 'kill(?:s|ed|ing)?|claim(?:s|ed)? the lives of' : '(?:injur|wound)(?:es|ed|ing)';
+    const patterns = [
+      new RegExp(`(?:${QUALIFIER})?\\b${NUMBER}\\s+(?:[a-z-]+\\s+){0,3}?(?:were\\s+|have been\\s+|had been\\s+)?(?:${verbs})\\b`, 'gi'),
+      new RegExp(`\\b(?:${stem})\\s+(?:${QUALIFIER})?${NUMBER}\\b`, 'gi')
+    ];
+    patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        const count = parseNumber(match[1]);
+        if (count && count < 10000 && (casualties[field] === null || count > casualties[field])) {
+          casualties[field] = count;
+        }
+      }
+    });
+  });
+  return casualties;
+}
+
+function actorsOf(article, text) {
+  const actors = (article.entities || [])
+    .filter(entity => ACTOR_TYPES.includes(entity.type))
+    .map(({ id, name, type }) => ({ id, name, type }));
+  COUNTRIES.forEach(({ id, name, type, pattern }) => {
+    if (pattern.test(text)) actors.push({ id, name, type });
+  });
+  return actors;
+}
+
+function locationOf(article) {
+  const place = (article.places || [])[0];
+  if (!place) return null;
+  const { id, name, kind, side, lat, lon } = place;
+  return { id, name, kind, side, lat, lon };
+}
+
+// One observation per event type an article reports
+function observe(article) {
+  const text = `${article.title} ${article.description || ''}`;
+  return matchTypes(text).map(type => ({
+    type,
+    article,
+    date: article.publishedAt,
+    actors: actorsOf(article, text),
+    location: locationOf(article),
+    casualties: extractCasualties(text)
+  }));
+}
+
+function maxCount(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.max(a, b);
+}
+
+function report(article) {
+  return {
+    id: article.id,
+    title: article.title,
+    url: article.url,
+    source: article.source && article.source.name,
+    publishedAt: article.publishedAt,
+    sentiment: article.sentiment
+  };
+}
+
+function startEvent(observation) {
+  const { type, article } = observation;
+  return {
+    id: null,
+    type: type.id,
+    label: type.label,
+    color: type.color,
+    title: article.title,
+    url: article.url,
+    category: article.category,
+    date: observation.date,
+    lastReportedAt: observation.date,
+    location: null,
+    casualties: { killed: null, injured: null },
+    actorCounts: {},
+    locationCounts: {},
+    clusterIds: new Set(),
+    reports: []
+  };
+}
+
+function addObservation(event, observation) {
+  const { article } = observation;
+  event.reports.push(report(article));
+  event.clusterIds.add(article.clusterId || article.id);
+  event.lastReportedAt = observation.date > event.lastReportedAt ? observation.date : event.lastReportedAt;
+  event.casualties = {
+    killed: maxCount(event.casualties.killed, observation.casualties.killed),
+    injured: maxCount(event.casualties.injured, observation.casualties.injured)
+  };
+  observation.actors.forEach(actor => {
+    if (!event.actorCounts[actor.id]) event.actorCounts[actor.id] = { ...actor, reports: 0 };
+    event.actorCounts[actor.id].reports++;
+  });
+  if (observation.location) {
+    const { id } = observation.location;
+    if (!event.locationCounts[id]) event.locationCounts[id] = { place: observation.location, reports: 0 };
+    event.locationCounts[id].reports++;
+  }
+}
+
+// Reports of the same type belong to one event when they are in the same story
+// cluster, or name the same place within the merge window
+function findEvent(events, observation, windowMs) {
+  const { type, article, location } = observation;
+  const time = new Date(observation.date).getTime();
+  return events.find(event =>
+    event.type === type.id &&
+    (event.clusterIds.has(article.clusterId || article.id) ||
+      (location && event.locationCounts[location.id] &&
+        time - new Date(event.lastReportedAt).getTime() <= windowMs)));
+}
+
+function finish(event) {
+  const sources = new Set(event.reports.map(r => r.source).filter(Boolean));
+  const locations = Object.values(event.locationCounts).sort((a, b) => b.reports - a.reports);
+  return {
+    id: event.id,
+    type: event.type,
+    label: event.label,
+    color: event.color,
+    title: event.title,
+    url: event.url,
+    category: event.category,
+    date: event.date,
+    lastReportedAt: event.lastReportedAt,
+    actors: Object.values(event.actorCounts).sort((a, b) => b.reports - a.reports),
+    location: locations.length ? locations[0].place : null,
+    casualties: event.casualties,
+    reportCount: event.reports.length,
+    sourceCount: sources.size,
+    sentiment: Math.round(event.reports.reduce((sum, r) => sum + r.sentiment, 0) / event.reports.length * 100) / 100,
+    reports: event.reports
+  };
+}
+
+function loadAssignedIds() {
+  if (!assignedIds) assignedIds = readJson(EVENT_IDS_FILE, {});
+  return assignedIds;
+}
+
+// Give each event the id one of its reports already carries, or a new one from its
+// first report. Only reads the saved ids; rememberIds saves them.
+function assignIds(events) {
+  const assigned = loadAssignedIds();
+  const used = new Set();
+
+  events.forEach(event => {
+    const keys = event.reports.map(r => `${event.type}:${r.id}`);
+    const previous = keys.map(key => assigned[key] && assigned[key].eventId).find(id => id && !used.has(id));
+    event.id = previous || keys.find(key => !used.has(key));
+    used.add(event.id);
+  });
+}
+
+// Save the id each report's event was given, after an ingest, so the event keeps it
+// when its first report ages out or an earlier one turns up. Ids are kept as long as
+// the articles behind them.
+function rememberIds(events) {
+  const assigned = loadAssignedIds();
+  let changed = false;
+
+  events.forEach(event => {
+    event.reports.forEach(r => {
+      const key = `${event.type}:${r.id}`;
+      if (assigned[key]) return;
+      assigned[key] = { eventId: event.id, publishedAt: r.publishedAt };
+      changed = true;
+    });
+  });
+
+  const cutoff = moment().subtract(RETENTION_DAYS, 'days');
+  Object.keys(assigned).forEach(key => {
+    if (moment(assigned[key].publishedAt).isBefore(cutoff)) {
+      delete assigned[key];
+      changed = true;
+    }
+  });
+  if (!changed) return Promise.resolve();
+  return writeEventIds(assigned);
+}
+
+// Events reported in the articles, with duplicate reports merged, newest first.
+// Articles should carry entities, places and clusterIds.
+function extractEvents(articles) {
+  const windowMs = load().mergeWindowHours * 60 * 60 * 1000;
+  const observations = articles
+    .flatMap(observe)
+    .sort((a, b) => moment(a.date).diff(moment(b.date)));
+
+  const events = [];
+  observations.forEach(observation => {
+    let event = findEvent(events, observation, windowMs);
+    if (!event) {
+      event = startEvent(observation);
+      events.push(event);
+    }
+    addObservation(event, observation);
+  });
+  assignIds(events);
+
+  return events
+    .map(finish)
+    .sort((a, b) => moment(b.date).diff(moment(a.date)));
+}
+
+// Event types for clients, without compiled patterns
+function describe() {
+  const { version, mergeWindowHours, types } = load();
+  return {
+    version,
+    mergeWindowHours,
+    types: types.map(({ id, label, color }) => ({ id, label, color }))
+  };
+}
+
+module.exports = {
+  extractEvents,
+  rememberIds,
+  describe
+};
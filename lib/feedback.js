@@ -0,0 +1,70 @@
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const FEEDBACK_FILE = dataPath('feedback.json');
+const writeFeedback = createWriter(FEEDBACK_FILE);
+
+// Analyst labels keyed by article id, plus which classifier drives the dashboard
+let feedback = null;
+
+function load() {
+  if (!feedback) {
+    feedback = readJson(FEEDBACK_FILE, {});
+    feedback.labels = feedback.labels || {};
+    feedback.mode = feedback.mode || process.env.CLASSIFIER_MODE || 'rules';
+  }
+  return feedback;
+}
+
+// Record an analyst's category and/or priority for an article. The text is kept
+// with the label so training doesn't depend on the article staying in the store.
+async function setLabel(article, { category, isPriority, labeledBy }) {
+  const current = load();
+  const existing = current.labels[article.id] || {};
+  const label = {
+    articleId: article.id,
+    title: article.title,
+    description: article.description || '',
+    category: category !== undefined ? category : existing.category,
+    isPriority: isPriority !== undefined ? isPriority : existing.isPriority,
+    labeledBy: labeledBy || existing.labeledBy || null,
+    labeledAt: new Date().toISOString()
+  };
+  current.labels[article.id] = label;
+  await writeFeedback(current);
+  return label;
+}
+
+async function removeLabel(articleId) {
+  const current = load();
+  if (!current.labels[articleId]) return false;
+  delete current.labels[articleId];
+  await writeFeedback(current);
+  return true;
+}
+
+function getLabel(articleId) {
+  return load().labels[articleId] || null;
+}
+
+function getLabels() {
+  return Object.values(load().labels);
+}
+
+function getMode() {
+  return load().mode;
+}
+
+async function setMode(mode) {
+  const current = load();
+  current.mode = mode;
+  await writeFeedback(current);
+}
+
+module.exports = {
+  setLabel,
+  removeLabel,
+  getLabel,
+  getLabels,
+  getMode,
+  setMode
+};
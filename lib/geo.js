@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { compileAliases, matchAliases } = require('./entities');
+
+const PLACES_FILE = process.env.PLACE_GAZETTEER ||
+  path.join(__dirname, '..', 'config', 'places.json');
+
+// Lower is more specific; an article is mapped to its most specific place
+const KIND_RANK = { site: 0, sector: 1, city: 2, district: 2, border: 3, region: 4 };
+
+let gazetteer = null;
+
+function load() {
+  if (!gazetteer) {
+    const text = fs.readFileSync(PLACES_FILE, 'utf8');
+    const raw = JSON.parse(text);
+    gazetteer = {
+      fingerprint: crypto.createHash('sha1').update(text).digest('hex'),
+      version: raw.version || 1,
+      description: raw.description || '',
+      places: raw.places,
+      matchers: compileAliases(raw.places)
+    };
+  }
+  return gazetteer;
+}
+
+// Places named in the text with coordinates, most specific first
+// ("Krishna Ghati sector of Poonch along the LoC" -> Krishna Ghati, Poonch, LoC)
+function geotag(text) {
+  const found = {};
+  matchAliases(text, load().matchers, place => {
+    if (!found[place.id]) {
+      const { id, name, kind, side, lat, lon } = place;
+      found[id] = { id, name, kind, side, lat, lon, mentions: 0 };
+    }
+    found[place.id].mentions++;
+  });
+
+  const rank = place => (place.kind in KIND_RANK ? KIND_RANK[place.kind] : KIND_RANK.region);
+  return Object.values(found).sort((a, b) => rank(a) - rank(b) || b.mentions - a.mentions);
+}
+
+// The gazetteer without compiled patterns, for clients
+function describe() {
+  const { version, description, places } = load();
+  return {
+    version,
+    description,
+    places: places.map(({ id, name, kind, side, lat, lon }) => ({ id, name, kind, side, lat, lon }))
+  };
+}
+
+// Changes whenever the place gazetteer file does
+function fingerprint() {
+  return load().fingerprint;
+}
+
+module.exports = {
+  geotag,
+  describe,
+  fingerprint
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding everything the server persists between restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// Read a JSON file, falling back to a default when it is missing or corrupt
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Failed to read ${filePath}:`, err.message);
+    }
+    return fallback;
+  }
+}
+
+// Write through a temp file and rename so a crash never leaves half a file behind
+async function writeText(filePath, text) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, text);
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+function writeJson(filePath, data) {
+  return writeText(filePath, JSON.stringify(data));
+}
+
+// Queue writes to one file so overlapping saves never race on the temp file
+function createWriter(filePath) {
+  let pending = Promise.resolve();
+  return function write(data) {
+    // Serialize now so later mutations don't leak into this write
+    const text = JSON.stringify(data);
+    pending = pending
+      .catch(() => {})
+      .then(() => writeText(filePath, text));
+    return pending;
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson,
+  createWriter
+};
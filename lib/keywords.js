@@ -0,0 +1,108 @@
+const moment = require('moment');
+const config = require('../config/keywords');
+const { tokenize, stem, isStopword, contentTokens, ngrams } = require('./text');
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Words and phrases in an article, keyed by their stemmed form so "violations"
+// and "violation" count together; each term counts once per article
+function termsIn(article) {
+  const text = `${article.title || ''} ${article.description || ''}`;
+  const terms = {};
+  const add = tokens => {
+    terms[tokens.map(stem).join(' ')] = tokens.join(' ');
+  };
+  contentTokens(text).forEach(token => add([token]));
+  // Phrases never run across a sentence, clause or title/description boundary
+  [article.title, article.description]
+    .join('. ')
+    .split(/[.,;:!?|()"“”]+|\s[-–—]\s/)
+    .forEach(segment => ngrams(tokenize(segment), config.maxPhraseLength).forEach(add));
+  return terms;
+}
+
+const IGNORED = new Set(config.ignore.map(stem));
+
+// Terms made only of ignored words and joiners ("india", "pakistan and india")
+function isIgnored(key) {
+  return key.split(' ').every(token => IGNORED.has(token) || isStopword(token));
+}
+
+function contains(phrase, term) {
+  return ` ${phrase} `.includes(` ${term} `);
+}
+
+// Terms spiking in the recent window compared with the earlier articles. Lift is
+// the term's share of recent articles over its (smoothed) share of baseline articles,
+// so terms that are always in the news stay out of the way. Without a baseline the
+// most frequent terms are returned with no lift.
+function trendingKeywords(articles, now = new Date()) {
+  const recentStart = moment(now).subtract(config.recentHours, 'hours');
+  const counts = {};
+  let recentTotal = 0;
+  let baselineTotal = 0;
+
+  articles.forEach(article => {
+    const isRecent = moment(article.publishedAt).isAfter(recentStart);
+    if (isRecent) recentTotal++;
+    else baselineTotal++;
+
+    Object.entries(termsIn(article)).forEach(([key, form]) => {
+      if (!counts[key]) counts[key] = { key, recent: 0, baseline: 0, forms: {} };
+      const entry = counts[key];
+      if (isRecent) entry.recent++;
+      else entry.baseline++;
+      entry.forms[form] = (entry.forms[form] || 0) + 1;
+    });
+  });
+
+  if (!recentTotal) return [];
+
+  const candidates = Object.values(counts)
+    .filter(entry => entry.recent >= config.minCount && !isIgnored(entry.key))
+    .map(entry => {
+      const recentShare = entry.recent / recentTotal;
+      const baselineShare = baselineTotal ? entry.baseline / baselineTotal : null;
+      const lift = baselineTotal ? recentShare / ((entry.baseline + 1) / (baselineTotal + 2)) : null;
+      return {
+        ...entry,
+        lift,
+        delta: baselineShare === null ? null : recentShare - baselineShare,
+        score: lift === null ? entry.recent : entry.recent * Math.log2(lift)
+      };
+    })
+    .filter(entry => entry.lift === null || entry.lift >= config.minLift)
+    // Longer phrases first on ties so "indus waters treaty" beats "indus waters"
+    .sort((a, b) => b.score - a.score || b.key.split(' ').length - a.key.split(' ').length);
+
+  // A term mostly seen inside a phrase is represented by the phrase: "waters" gives
+  // way to "indus waters treaty" unless it also spikes on its own
+  const overlaps = (phrase, term) => contains(phrase.key, term.key) && phrase.recent >= term.recent * 0.8;
+  let chosen = [];
+  for (const entry of candidates) {
+    if (chosen.length >= config.limit) break;
+    if (chosen.some(kept => overlaps(kept, entry))) continue;
+    chosen = chosen.filter(kept => !overlaps(entry, kept));
+    chosen.push(entry);
+  }
+
+  return chosen.map(entry => ({
+    // Most common spelling of the term
+    word: Object.entries(entry.forms).sort((a, b) => b[1] - a[1])[0][0],
+    count: entry.recent,
+    baselineCount: entry.baseline,
+    // Expected recent count if the term kept its baseline share
+    expectedCount: baselineTotal ? round(entry.baseline / baselineTotal * recentTotal, 1) : null,
+    lift: entry.lift === null ? null : round(entry.lift),
+    // Change in the share of articles mentioning the term, in percentage points
+    delta: entry.delta === null ? null : Math.round(entry.delta * 100),
+    isPhrase: entry.key.includes(' ')
+  }));
+}
+
+module.exports = {
+  trendingKeywords
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Sentiment = require('sentiment');
+const afinn = require('sentiment/languages/en/labels.json');
+const { keywordPattern } = require('./taxonomy');
+
+const LEXICON_FILE = process.env.SENTIMENT_LEXICON ||
+  path.join(__dirname, '..', 'config', 'lexicons', 'india-pakistan.v1.json');
+
+const sentimentAnalyzer = new Sentiment();
+
+let lexicon = null;
+
+function compile(raw) {
+  const negators = new Set(raw.negators || []);
+  const negationWindow = raw.negationWindow || 3;
+  // Registered as its own language so the overlay never leaks into the shared
+  // English labels that opts.extras would otherwise mutate
+  const language = `${raw.name}-v${raw.version}`;
+
+  sentimentAnalyzer.registerLanguage(language, {
+    labels: { ...afinn },
+    scoringStrategy: {
+      apply(tokens, cursor, tokenScore) {
+        const preceding = tokens.slice(Math.max(0, cursor - negationWindow), cursor);
+        return preceding.some(token => negators.has(token)) ? -tokenScore : tokenScore;
+      }
+    }
+  });
+
+  return {
+    name: raw.name,
+    version: raw.version,
+    description: raw.description || '',
+    language,
+    negators,
+    negationWindow,
+    words: raw.words || {},
+    // Longest phrases first so "cross border shelling" wins over "shelling"
+    phrases: Object.entries(raw.phrases || {})
+      .sort((a, b) => b[0].length - a[0].length)
+      .map(([phrase, score]) => ({ phrase, score, pattern: keywordPattern(phrase.toLowerCase()) }))
+  };
+}
+
+function load() {
+  if (!lexicon) {
+    const text = fs.readFileSync(LEXICON_FILE, 'utf8');
+    lexicon = {
+      ...compile(JSON.parse(text)),
+      fingerprint: crypto.createHash('sha1').update(text).digest('hex')
+    };
+  }
+  return lexicon;
+}
+
+// A phrase is negated when a negator sits within the window before it in the same sentence
+function isNegated(before, { negators, negationWindow }) {
+  const sentence = before.split(/[.!?;:]/).pop();
+  return sentence
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(-negationWindow)
+    .some(token => negators.has(token));
+}
+
+function addContribution(totals, term, type, score, negated) {
+  const key = `${type}:${term}`;
+  if (!totals[key]) totals[key] = { term, type, score: 0, count: 0, negated: false };
+  totals[key].score += score;
+  totals[key].count++;
+  totals[key].negated = totals[key].negated || negated;
+}
+
+// Score text with the overlay: phrases are matched (and removed) first, then the
+// remaining words go through AFINN plus the lexicon's word entries. Contributions
+// list every term that moved the score, largest effect first.
+function analyze(text) {
+  const current = load();
+  const totals = {};
+  let phraseScore = 0;
+  let remaining = (text || '').toLowerCase();
+
+  current.phrases.forEach(({ phrase, score, pattern }) => {
+    remaining = remaining.replace(pattern, (match, offset, whole) => {
+      const negated = isNegated(whole.slice(0, offset), current);
+      const value = negated ? -score : score;
+      phraseScore += value;
+      addContribution(totals, phrase, 'phrase', value, negated);
+      // Blank the phrase out so its words aren't scored a second time
+      return ' '.repeat(match.length);
+    });
+  });
+
+  const result = sentimentAnalyzer.analyze(remaining, {
+    language: current.language,
+    extras: current.words
+  });
+  result.calculation.forEach(entry => {
+    const [word, value] = Object.entries(entry)[0];
+    const type = Object.prototype.hasOwnProperty.call(current.words, word) ? 'lexicon' : 'afinn';
+    const base = type === 'lexicon' ? current.words[word] : afinn[word];
+    addContribution(totals, word, type, value, value !== base);
+  });
+
+  const tokenCount = (text || '').split(/\s+/).filter(Boolean).length;
+  const score = result.score + phraseScore;
+  const contributions = Object.values(totals)
+    .filter(c => c.score !== 0)
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+  return {
+    score,
+    comparative: tokenCount ? score / tokenCount : 0,
+    positive: contributions.filter(c => c.score > 0).map(c => c.term),
+    negative: contributions.filter(c => c.score < 0).map(c => c.term),
+    contributions,
+    lexicon: `${current.name}@${current.version}`
+  };
+}
+
+// Lexicon metadata for clients, without compiled patterns
+function describe() {
+  const { name, version, description, negators, negationWindow, words, phrases } = load();
+  return {
+    name,
+    version,
+    description,
+    file: path.basename(LEXICON_FILE),
+    negators: [...negators],
+    negationWindow,
+    wordCount: Object.keys(words).length,
+    phraseCount: phrases.length
+  };
+}
+
+// Changes whenever the lexicon file does, so edits without a version bump still count
+function fingerprint() {
+  return load().fingerprint;
+}
+
+module.exports = {
+  analyze,
+  describe,
+  fingerprint
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const lexicon = require('./lexicon');
+const { extractEntities, fingerprint: entitiesFingerprint } = require('./entities');
+const { geotag, fingerprint: placesFingerprint } = require('./geo');
+const sources = require('./sources');
+const taxonomy = require('./taxonomy');
+const { scoreRelevance, isInScope, fingerprint: relevanceFingerprint } = require('./relevance');
+
+// Helper function to categorize article against the configured taxonomy.
+// Returns the primary category plus every label with its confidence.
+function categorizeArticle(text) {
+  const labels = taxonomy.classify(text);
+  
+  return {
+    // If no strong categorization found, the primary category is 'other'
+    category: labels.length ? labels[0].id : 'other',
+    categories: labels.map(({ id, confidence }) => ({ id, confidence }))
+  };
+}
+
+// Matched as whole words like taxonomy keywords ("war" is not in "toward" or
+// "warns"); a trailing * also takes plurals and other endings
+const HIGH_PRIORITY_KEYWORDS = [
+  'attack*', 'war', 'wars', 'missile*', 'conflict*', 'crisis', 'military',
+  'border*', 'violated', 'threat*', 'army', 'defense', 'defence', 'security',
+  'nuclear', 'weapon*', 'terrorism', 'tension*', 'dispute*'
+].map(keyword => ({ keyword: keyword.replace(/\*$/, ''), pattern: taxonomy.keywordPattern(keyword) }));
+
+// High-priority keywords that appear in the text
+function priorityKeywordsIn(text) {
+  const textLower = (text || '').toLowerCase();
+  return HIGH_PRIORITY_KEYWORDS
+    .filter(({ pattern }) => textLower.match(pattern))
+    .map(({ keyword }) => keyword);
+}
+
+// Helper function to determine if article is high priority.
+// categoryIds holds every label the article carries, primary first.
+function isPriorityArticle(text, categoryIds, sentiment) {
+  const containsHighPriorityKeyword = priorityKeywordsIn(text).length > 0;
+  
+  return (
+    (categoryIds.includes('military') && containsHighPriorityKeyword) || 
+    (categoryIds[0] === 'diplomatic' && sentiment < -2) ||
+    (containsHighPriorityKeyword && sentiment < -3)
+  );
+}
+
+// Fingerprint of the configs processArticle reads. Each article keeps the one it
+// was processed with, so stored articles can be redone after a config change.
+function processingVersion() {
+  const configs = [
+    taxonomy.fingerprint(),
+    lexicon.fingerprint(),
+    entitiesFingerprint(),
+    placesFingerprint(),
+    sources.fingerprint(),
+    relevanceFingerprint()
+  ];
+  return crypto.createHash('sha1').update(configs.join(':')).digest('hex').slice(0, 12);
+}
+
+// Run sentiment, classification, entity extraction, geotagging, source
+// attribution and relevance scoring over a normalized article
+function processArticle(article) {
+  const description = article.description || '';
+  const textToAnalyze = article.title + ' ' + description;
+  const sentimentScore = lexicon.analyze(textToAnalyze);
+  const { category, categories } = categorizeArticle(textToAnalyze);
+  const entities = extractEntities(textToAnalyze);
+  const places = geotag(textToAnalyze);
+  const relevance = scoreRelevance({ title: article.title, description, entities, places });
+  
+  return {
+    ...article,
+    sentiment: sentimentScore.score,
+    sentimentDetail: {
+      score: sentimentScore.score,
+      comparative: sentimentScore.comparative,
+      positive: sentimentScore.positive,
+      negative: sentimentScore.negative,
+      contributions: sentimentScore.contributions,
+      lexicon: sentimentScore.lexicon
+    },
+    category,
+    categories,
+    entities,
+    places,
+    outlet: sources.attribute(article),
+    relevance,
+    processedWith: processingVersion(),
+    // Sports and off-topic coverage is never priority, whatever its keywords
+    isPriority: isInScope({ category, relevance }) &&
+      isPriorityArticle(textToAnalyze, [...new Set([category, ...categories.map(c => c.id)])], sentimentScore.score)
+  };
+}
+
+module.exports = {
+  priorityKeywordsIn,
+  categorizeArticle,
+  isPriorityArticle,
+  processingVersion,
+  processArticle
+};
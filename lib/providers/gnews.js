@@ -0,0 +1,40 @@
+// GNews search API - https://gnews.io/docs/v4
+module.exports = {
+  name: 'gnews',
+  fixtureExtension: 'json',
+
+  isConfigured(settings) {
+    return Boolean(settings.apiKey);
+  },
+
+  // One job per search query
+  jobs(settings, queries) {
+    return queries.map(query => ({ key: query, query }));
+  },
+
+  buildRequest(job, settings) {
+    return {
+      url: `https://gnews.io/api/v4/search?q=${encodeURIComponent(job.query)}&lang=en&max=40&token=${settings.apiKey}&sortby=publishedAt`
+    };
+  },
+
+  parse(body) {
+    const data = JSON.parse(body);
+    if (!data.articles) {
+      throw new Error('Invalid API response');
+    }
+
+    return data.articles.map(article => ({
+      title: article.title,
+      description: article.description || '',
+      content: article.content,
+      url: article.url,
+      urlToImage: article.image,
+      publishedAt: article.publishedAt,
+      source: {
+        name: article.source && article.source.name,
+        url: article.source && article.source.url
+      }
+    }));
+  }
+};
@@ -0,0 +1,110 @@
+const fetch = require('node-fetch');
+const settings = require('../../config/providers');
+const replay = require('./replay');
+
+// Every adapter implements the same small interface:
+//   name                          - id used in config and run records
+//   isConfigured(settings)        - whether it has what it needs (keys, feeds) to run
+//   jobs(settings, queries)       - the units of work the scheduler rotates through
+//   buildRequest(job, settings)   - { url, headers } for one job
+//   parse(body, job)              - raw response text -> articles in our common shape
+// Keeping parse() free of I/O lets each adapter be checked against saved payloads.
+const adapters = {
+  gnews: require('./gnews'),
+  newsapi: require('./newsapi'),
+  rss: require('./rss')
+};
+
+// Error carrying the upstream HTTP status so callers can decide whether to back off
+class UpstreamError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function getAdapter(name) {
+  return adapters[name] || null;
+}
+
+settings.enabled
+  .filter(name => !adapters[name])
+  .forEach(name => console.warn(`Unknown news provider "${name}" ignored`));
+
+// Adapters enabled in config that also have the keys/feeds they need -
+// or, when replaying, saved responses to serve
+function activeProviders() {
+  return settings.enabled
+    .filter(name => adapters[name])
+    .filter(name => settings.mode === 'replay'
+      ? replay.hasFixtures(settings.fixturesDir, adapters[name])
+      : adapters[name].isConfigured(settings[name]))
+    .map(name => adapters[name]);
+}
+
+function providerSettings(name) {
+  return settings[name] || {};
+}
+
+// Fetch the raw response body for one job from upstream
+async function fetchBody(adapter, job) {
+  const request = adapter.buildRequest(job, providerSettings(adapter.name));
+
+  let response;
+  try {
+    response = await fetch(request.url, { headers: request.headers || {} });
+  } catch (err) {
+    // node-fetch errors echo the URL, which may carry an API key
+    throw new UpstreamError(`${adapter.name} request failed: ${err.code || err.type || 'network error'}`);
+  }
+
+  if (!response.ok) {
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    throw new UpstreamError(
+      `${adapter.name} responded with ${response.status}`,
+      response.status,
+      Number.isNaN(retryAfter) ? null : retryAfter
+    );
+  }
+
+  return response.text();
+}
+
+// Run one job against its provider (or its recording) and return normalized articles
+async function fetchJob(adapter, job) {
+  let body;
+  if (settings.mode === 'replay') {
+    body = replay.read(settings.fixturesDir, adapter, job);
+    if (body === null) {
+      throw new UpstreamError(`${adapter.name}: no recording for "${job.key}"`, 404);
+    }
+  } else {
+    body = await fetchBody(adapter, job);
+  }
+
+  let articles;
+  try {
+    articles = adapter.parse(body, job);
+  } catch (err) {
+    throw new UpstreamError(`${adapter.name}: ${err.message}`);
+  }
+
+  if (settings.mode === 'record') {
+    await replay.record(settings.fixturesDir, adapter, job, body);
+  }
+
+  return settings.mode === 'replay'
+    ? replay.shiftDates(settings.fixturesDir, articles)
+    : articles;
+}
+
+module.exports = {
+  mode: settings.mode,
+  UpstreamError,
+  getAdapter,
+  activeProviders,
+  providerSettings,
+  fetchJob
+};
@@ -0,0 +1,44 @@
+// NewsAPI.org everything endpoint - https://newsapi.org/docs/endpoints/everything
+module.exports = {
+  name: 'newsapi',
+  fixtureExtension: 'json',
+
+  isConfigured(settings) {
+    return Boolean(settings.apiKey);
+  },
+
+  // One job per search query
+  jobs(settings, queries) {
+    return queries.map(query => ({ key: query, query }));
+  },
+
+  buildRequest(job, settings) {
+    return {
+      url: `https://newsapi.org/v2/everything?q=${encodeURIComponent(job.query)}&language=en&sortBy=publishedAt&pageSize=40`,
+      headers: { 'X-Api-Key': settings.apiKey }
+    };
+  },
+
+  parse(body) {
+    const data = JSON.parse(body);
+    if (data.status !== 'ok' || !data.articles) {
+      throw new Error(data.message || 'Invalid API response');
+    }
+
+    return data.articles
+      // NewsAPI keeps placeholders for articles that were taken down
+      .filter(article => article.title && article.title !== '[Removed]')
+      .map(article => ({
+        title: article.title,
+        description: article.description || '',
+        content: article.content,
+        url: article.url,
+        urlToImage: article.urlToImage,
+        publishedAt: article.publishedAt,
+        source: {
+          name: article.source && article.source.name,
+          url: null
+        }
+      }));
+  }
+};
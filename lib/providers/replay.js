@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { readJson, writeJson } = require('../jsonFile');
+
+// Saved upstream responses live at <fixturesDir>/<provider>/<job-slug>.<ext>,
+// next to a manifest recording when they were captured
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function fixturePath(fixturesDir, adapter, job) {
+  return path.join(fixturesDir, adapter.name, `${slug(job.key)}.${adapter.fixtureExtension}`);
+}
+
+function manifestPath(fixturesDir) {
+  return path.join(fixturesDir, 'manifest.json');
+}
+
+function hasFixtures(fixturesDir, adapter) {
+  return fs.existsSync(path.join(fixturesDir, adapter.name));
+}
+
+// Save a raw response body and move the manifest anchor to now
+async function record(fixturesDir, adapter, job, body) {
+  const filePath = fixturePath(fixturesDir, adapter, job);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, body);
+
+  const manifest = readJson(manifestPath(fixturesDir), {});
+  await writeJson(manifestPath(fixturesDir), { ...manifest, anchor: new Date().toISOString() });
+}
+
+// Raw response body saved for a job, or null if it was never recorded
+function read(fixturesDir, adapter, job) {
+  try {
+    return fs.readFileSync(fixturePath(fixturesDir, adapter, job), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Shift replayed articles by whole days so the recording day replays as today.
+// Whole days keep the output stable for a given date while staying inside HISTORY_DAYS.
+function shiftDates(fixturesDir, articles) {
+  const manifest = readJson(manifestPath(fixturesDir), {});
+  if (!manifest.anchor) return articles;
+
+  const anchor = moment.utc(manifest.anchor);
+  let days = moment.utc().startOf('day').diff(anchor.clone().startOf('day'), 'days');
+  // Never replay anything into the future
+  if (anchor.clone().add(days, 'days').isAfter(moment.utc())) days--;
+  return articles.map(article => ({
+    ...article,
+    publishedAt: moment.utc(article.publishedAt).add(days, 'days').toISOString()
+  }));
+}
+
+module.exports = {
+  hasFixtures,
+  record,
+  read,
+  shiftDates
+};
@@ -0,0 +1,143 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  htmlEntities: true
+});
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text content of a node that may carry attributes (e.g. Atom's type="html")
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return text(node['#text']);
+  return String(node).trim();
+}
+
+// Entities that survive XML parsing because they sat inside CDATA
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>',
+  ldquo: '\u201c', rdquo: '\u201d', lsquo: '\u2018', rsquo: '\u2019',
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026'
+};
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] || match);
+}
+
+function stripHtml(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// null when the item has no usable date; the time of the fetch would be a guess
+// that lands in the volume and escalation windows
+function toIsoDate(value) {
+  const date = new Date(text(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Atom entries can carry several links; prefer the alternate (HTML) one
+function atomLink(link) {
+  const links = toArray(link);
+  const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+  return alternate ? alternate['@_href'] || text(alternate) : null;
+}
+
+function isImage(node) {
+  return !node['@_type'] || node['@_type'].startsWith('image/');
+}
+
+function imageFrom(item) {
+  const candidates = [
+    ...toArray(item['media:content']),
+    ...toArray(item['media:thumbnail']),
+    ...toArray(item.enclosure).filter(isImage),
+    // Atom puts images in <link rel="enclosure" href="...">
+    ...toArray(item.link)
+      .filter(l => typeof l === 'object' && l['@_rel'] === 'enclosure' && isImage(l))
+      .map(l => ({ '@_url': l['@_href'] }))
+  ];
+  const withUrl = candidates.find(c => c && c['@_url']);
+  return withUrl ? withUrl['@_url'] : null;
+}
+
+function fromRssItem(item, sourceName) {
+  return {
+    title: stripHtml(text(item.title)),
+    description: stripHtml(text(item.description) || text(item['content:encoded'])),
+    content: null,
+    url: text(item.link) || text(item.guid),
+    urlToImage: imageFrom(item),
+    publishedAt: toIsoDate(item.pubDate || item['dc:date']),
+    source: { name: sourceName, url: null }
+  };
+}
+
+function fromAtomEntry(entry, sourceName) {
+  return {
+    title: stripHtml(text(entry.title)),
+    description: stripHtml(text(entry.summary) || text(entry.content)),
+    content: null,
+    url: atomLink(entry.link),
+    urlToImage: imageFrom(entry),
+    publishedAt: toIsoDate(entry.published || entry.updated),
+    source: { name: sourceName, url: null }
+  };
+}
+
+// Generic RSS 2.0 / RSS 1.0 (RDF) / Atom feeds
+module.exports = {
+  name: 'rss',
+  fixtureExtension: 'xml',
+
+  isConfigured(settings) {
+    return settings.feeds.length > 0;
+  },
+
+  // One job per feed - feeds aren't searchable, so queries don't apply
+  jobs(settings) {
+    return settings.feeds.map(feed => ({ key: feed.name, query: feed.name, feed }));
+  },
+
+  buildRequest(job) {
+    return {
+      url: job.feed.url,
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    };
+  },
+
+  parse(body, job) {
+    const doc = parser.parse(body);
+    const feed = (job && job.feed) || {};
+    let articles;
+
+    if (doc.rss && doc.rss.channel) {
+      const sourceName = feed.name || text(doc.rss.channel.title);
+      articles = toArray(doc.rss.channel.item).map(item => fromRssItem(item, sourceName));
+    } else if (doc['rdf:RDF']) {
+      const rdf = doc['rdf:RDF'];
+      const sourceName = feed.name || text(rdf.channel && rdf.channel.title);
+      articles = toArray(rdf.item).map(item => fromRssItem(item, sourceName));
+    } else if (doc.feed) {
+      const sourceName = feed.name || text(doc.feed.title);
+      articles = toArray(doc.feed.entry).map(entry => fromAtomEntry(entry, sourceName));
+    } else {
+      throw new Error('Not an RSS or Atom feed');
+    }
+
+    const match = feed.match ? new RegExp(feed.match, 'i') : null;
+    return articles.filter(article =>
+      article.title && article.url && article.publishedAt &&
+      (!match || match.test(`${article.title} ${article.description}`))
+    );
+  }
+};
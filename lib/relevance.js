@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const config = require('../config/relevance');
+const { keywordPattern } = require('./taxonomy');
+
+// Names for each country and its capital
+const COUNTRIES = [
+  { name: 'India', side: 'IN', keywords: ['india', 'indian*', 'new delhi'] },
+  { name: 'Pakistan', side: 'PK', keywords: ['pakistan*', 'islamabad'] }
+].map(country => ({ ...country, patterns: country.keywords.map(compile) }));
+
+// Gazetteer entries on the 'border' side (the LoC, Kashmir, cross-border militant
+// groups, bilateral treaties) belong to both countries
+const BORDER = 'border';
+
+const BILATERAL_PATTERNS = config.bilateralTerms.map(term => ({ term, pattern: compile(term) }));
+
+// Non-global so test() keeps no state between calls
+function compile(keyword) {
+  return new RegExp(keywordPattern(keyword).source);
+}
+
+// Countries named in a text
+function countriesNamed(text) {
+  const lower = (text || '').toLowerCase();
+  return COUNTRIES.filter(country => country.patterns.some(pattern => pattern.test(lower)));
+}
+
+// Countries an article involves: named outright, or through a place, person or
+// organization on their side
+function countriesInvolved(text, known) {
+  const sides = new Set(known.map(entry => entry.side).filter(Boolean));
+  return COUNTRIES.filter(country =>
+    countriesNamed(text).includes(country) || sides.has(country.side) || sides.has(BORDER));
+}
+
+function share(countryCount) {
+  if (countryCount >= 2) return 1;
+  return countryCount === 1 ? config.oneCountryShare : 0;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// How much an article is about India-Pakistan affairs (0-1), with the reasons.
+// Takes a processed article so entities and places are available.
+function scoreRelevance(article) {
+  const { weights } = config;
+  const text = `${article.title || ''} ${article.description || ''}`;
+  const lower = text.toLowerCase();
+  const reasons = [];
+
+  // Gazetteer people, groups and agreements, plus geotagged places
+  const known = [
+    ...(article.entities || []).filter(entity => entity.type !== 'location' && entity.source !== 'rule'),
+    ...(article.places || [])
+  ];
+
+  const countries = countriesInvolved(text, known);
+  if (countries.length) {
+    reasons.push(countries.length === 2
+      ? 'Involves India and Pakistan'
+      : `Only involves ${countries[0].name}`);
+  }
+
+  const headlineCountries = countriesNamed(article.title);
+  if (headlineCountries.length === 2) reasons.push('Headline names both countries');
+
+  // Bilateral terms, plus border-side entries and conflict-zone places (anything
+  // in the place gazetteer but a city)
+  const bilateral = [...new Set([
+    ...BILATERAL_PATTERNS
+      .filter(({ pattern }) => pattern.test(lower))
+      .map(({ term }) => term.replace(/\*$/, '')),
+    ...known
+      .filter(entry => entry.side === BORDER || (entry.kind && entry.kind !== 'city'))
+      .map(entry => entry.name)
+  ])];
+  if (bilateral.length) reasons.push(`Bilateral terms and places: ${bilateral.slice(0, 5).join(', ')}`);
+
+  const gazetteer = [...new Set(known.map(entry => entry.name))];
+  if (gazetteer.length) reasons.push(`Known actors and places: ${gazetteer.slice(0, 5).join(', ')}`);
+
+  const score =
+    weights.countries * share(countries.length) +
+    weights.headline * share(headlineCountries.length) +
+    weights.bilateral * Math.min(1, bilateral.length / config.bilateralSaturation) +
+    weights.gazetteer * Math.min(1, gazetteer.length / config.gazetteerSaturation);
+
+  return { score: round(Math.min(1, score)), reasons };
+}
+
+// Whether an article counts toward crisis and priority scoring. Sports and
+// low-relevance coverage stays in the feed but is left out.
+function isInScope(article) {
+  if (config.excludedCategories.includes(article.category)) return false;
+  const relevance = article.relevance || scoreRelevance(article);
+  return relevance.score >= config.minScore;
+}
+
+// Mark each article in or out of scope. Out-of-scope articles are never priority
+// unless an analyst labelled them so.
+function applyScope(articles) {
+  return articles.map(article => {
+    const relevance = article.relevance || scoreRelevance(article);
+    const inScope = isInScope({ ...article, relevance });
+    const analystPriority = Boolean(article.analystLabel && article.analystLabel.isPriority);
+    return {
+      ...article,
+      relevance,
+      inScope,
+      isPriority: Boolean(article.isPriority) && (inScope || analystPriority)
+    };
+  });
+}
+
+// Changes whenever the relevance settings do
+function fingerprint() {
+  return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+}
+
+module.exports = {
+  scoreRelevance,
+  isInScope,
+  applyScope,
+  fingerprint
+};
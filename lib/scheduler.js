@@ -0,0 +1,280 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const moment = require('moment');
+const config = require('../config/ingest');
+const providers = require('./providers');
+const articleStore = require('./articleStore');
+const { processArticle, processingVersion } = require('./processing');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const STATE_FILE = dataPath('ingest.json');
+const writeState = createWriter(STATE_FILE);
+
+// Emits 'ingested' after every successful run so other subsystems can react to new
+// articles, and 'pass' with the run records once every provider that was due has run
+const events = new EventEmitter();
+
+let state = null;
+let timer = null;
+let started = false;
+let running = false;
+
+function loadState() {
+  if (state) return state;
+  state = readJson(STATE_FILE, {});
+  state.runs = state.runs || [];
+  state.providers = state.providers || {};
+  return state;
+}
+
+// Rotation, budget and backoff are tracked separately for each provider
+function providerState(name) {
+  const current = loadState();
+  if (!current.providers[name]) {
+    current.providers[name] = {
+      rotationIndex: 0,
+      budget: { day: null, used: 0 },
+      backoff: { failures: 0, until: null },
+      lastRunAt: null
+    };
+  }
+  return current.providers[name];
+}
+
+function today() {
+  return moment.utc().format('YYYY-MM-DD');
+}
+
+function budgetUsed(name) {
+  const { budget } = providerState(name);
+  return budget.day === today() ? budget.used : 0;
+}
+
+function dailyBudget(name) {
+  return providers.providerSettings(name).dailyBudget || Infinity;
+}
+
+// Minutes between requests to one provider: the configured interval, stretched so a
+// full day stays within that provider's budget
+function providerIntervalMinutes(name) {
+  return Math.max(config.intervalMinutes, (24 * 60) / dailyBudget(name));
+}
+
+function recordRun(run) {
+  const current = loadState();
+  current.runs.unshift(run);
+  current.runs = current.runs.slice(0, config.maxRunHistory);
+  return writeState(current);
+}
+
+// Whether an upstream failure is worth backing off for rather than just logging
+function shouldBackOff(err) {
+  return err.status === 429 || (err.status >= 500 && err.status < 600);
+}
+
+function applyBackoff(name, err) {
+  const { backoff } = providerState(name);
+  backoff.failures++;
+  const exponential = config.backoffBaseMinutes * Math.pow(2, backoff.failures - 1);
+  const retryAfterMinutes = err.retryAfter ? err.retryAfter / 60 : 0;
+  const minutes = Math.min(Math.max(exponential, retryAfterMinutes), config.backoffMaxMinutes);
+  backoff.until = moment().add(minutes, 'minutes').toISOString();
+  console.warn(`Ingestion from ${name} backing off for ${Math.round(minutes)} minutes after ${err.message}`);
+}
+
+// Why a provider can't run right now, or null if it is due
+function skipReason(name) {
+  if (providers.mode === 'replay') return null;
+  const current = providerState(name);
+
+  if (current.backoff.until && moment().isBefore(current.backoff.until)) {
+    return `backing off until ${current.backoff.until}`;
+  }
+  if (budgetUsed(name) >= dailyBudget(name)) {
+    return `daily budget of ${dailyBudget(name)} requests used`;
+  }
+  if (current.lastRunAt &&
+      moment().diff(moment(current.lastRunAt), 'minutes', true) < providerIntervalMinutes(name)) {
+    return 'not due yet';
+  }
+  return null;
+}
+
+// Fetch one job, store what it returns and record the run
+async function runJob(adapter, job, jobCount) {
+  const current = providerState(adapter.name);
+  const startedAt = new Date();
+  const run = {
+    id: crypto.randomBytes(8).toString('hex'),
+    provider: adapter.name,
+    query: job.query,
+    startedAt: startedAt.toISOString(),
+    durationMs: 0,
+    articleCount: 0,
+    newCount: 0,
+    status: 'ok',
+    error: null
+  };
+
+  current.lastRunAt = run.startedAt;
+  if (providers.mode !== 'replay') {
+    current.budget = { day: today(), used: budgetUsed(adapter.name) + 1 };
+  }
+
+  try {
+    const fetched = await providers.fetchJob(adapter, job);
+    const processed = fetched.map(article => processArticle({ ...article, provider: adapter.name }));
+    const added = articleStore.upsertArticles(processed, job.query);
+    await articleStore.save();
+
+    run.articleCount = fetched.length;
+    run.newCount = added.length;
+    current.backoff = { failures: 0, until: null };
+    current.rotationIndex = (current.rotationIndex + 1) % jobCount;
+    console.log(`Ingested ${adapter.name} "${job.query}": ${fetched.length} articles, ${added.length} new`);
+
+    events.emit('ingested', { provider: adapter.name, query: job.query, added, run });
+  } catch (err) {
+    run.status = 'error';
+    run.error = err.message;
+    run.httpStatus = err.status || null;
+    console.error(`Ingestion from ${adapter.name} "${job.query}" failed:`, err.message);
+
+    if (shouldBackOff(err)) {
+      applyBackoff(adapter.name, err);
+    } else {
+      // Don't get stuck retrying one broken job forever
+      current.rotationIndex = (current.rotationIndex + 1) % jobCount;
+    }
+  } finally {
+    run.durationMs = Date.now() - startedAt.getTime();
+  }
+
+  await recordRun(run);
+  return run;
+}
+
+// Run the next job in one provider's rotation. Replaying costs nothing upstream,
+// so in replay mode the whole rotation runs at once.
+async function runProvider(adapter) {
+  const current = providerState(adapter.name);
+  const jobs = adapter.jobs(providers.providerSettings(adapter.name), config.queries);
+  if (!jobs.length) return [];
+
+  const batch = providers.mode === 'replay'
+    ? jobs
+    : [jobs[current.rotationIndex % jobs.length]];
+
+  const runs = [];
+  for (const job of batch) {
+    runs.push(await runJob(adapter, job, jobs.length));
+  }
+  return runs;
+}
+
+// Run every active provider that is due. Returns the run records.
+async function runOnce() {
+  if (running) return [];
+  running = true;
+  const runs = [];
+
+  try {
+    for (const adapter of providers.activeProviders()) {
+      const reason = skipReason(adapter.name);
+      if (reason) {
+        if (reason !== 'not due yet') {
+          console.log(`Ingestion from ${adapter.name} skipped: ${reason}`);
+        }
+        continue;
+      }
+      runs.push(...await runProvider(adapter));
+    }
+  } finally {
+    running = false;
+  }
+
+  events.emit('pass', runs);
+  return runs;
+}
+
+function scheduleNext() {
+  if (!started) return;
+  timer = setTimeout(async () => {
+    try {
+      await runOnce();
+    } catch (err) {
+      console.error('Ingestion run crashed:', err);
+    }
+    scheduleNext();
+  }, config.intervalMinutes * 60 * 1000);
+}
+
+// Start cycling through the providers' jobs; the first run happens immediately
+// Redo stored articles processed with an older config, so config edits reach the
+// whole store rather than only what is ingested from now on
+function reprocessStored() {
+  const redone = articleStore.reprocess(processingVersion(), processArticle);
+  if (!redone) return;
+  console.log(`Reprocessed ${redone} stored articles after a config change`);
+  articleStore.save().catch(err => console.error('Failed to save reprocessed articles:', err.message));
+}
+
+function start() {
+  if (started) return;
+  reprocessStored();
+  const active = providers.activeProviders();
+  if (!active.length) {
+    console.warn('Ingestion scheduler not started: no news provider is configured');
+    return;
+  }
+  started = true;
+  loadState();
+  console.log(`Ingestion scheduler started (${providers.mode} mode): ${active.map(a => a.name).join(', ')}, every ${config.intervalMinutes} minutes`);
+  runOnce()
+    .catch(err => console.error('Ingestion run crashed:', err))
+    .then(scheduleNext);
+}
+
+function stop() {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+}
+
+function getRuns({ limit = 50 } = {}) {
+  return loadState().runs.slice(0, limit);
+}
+
+function getStatus() {
+  loadState();
+  return {
+    mode: providers.mode,
+    started,
+    running,
+    intervalMinutes: config.intervalMinutes,
+    queries: config.queries,
+    providers: providers.activeProviders().map(adapter => {
+      const current = providerState(adapter.name);
+      const jobs = adapter.jobs(providers.providerSettings(adapter.name), config.queries);
+      return {
+        name: adapter.name,
+        nextJob: jobs.length ? jobs[current.rotationIndex % jobs.length].query : null,
+        intervalMinutes: providerIntervalMinutes(adapter.name),
+        dailyBudget: dailyBudget(adapter.name),
+        budgetUsed: budgetUsed(adapter.name),
+        backoffUntil: current.backoff.until,
+        lastRunAt: current.lastRunAt
+      };
+    }),
+    lastRun: state.runs[0] || null
+  };
+}
+
+module.exports = {
+  events,
+  start,
+  stop,
+  runOnce,
+  getRuns,
+  getStatus
+};
@@ -0,0 +1,153 @@
+const moment = require('moment');
+const config = require('../config/snapshots');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const SNAPSHOT_FILE = dataPath('analytics-history.json');
+const writeSnapshots = createWriter(SNAPSHOT_FILE);
+
+const GRANULARITIES = ['hour', 'day', 'week'];
+const LEVEL_RANK = { normal: 0, moderate: 1, elevated: 2, severe: 3 };
+
+// Snapshots oldest first, plus extracted events keyed by id so the same event
+// seen in many snapshots is kept once
+let history = null;
+
+function load() {
+  if (!history) {
+    history = readJson(SNAPSHOT_FILE, {});
+    history.snapshots = history.snapshots || [];
+    history.events = history.events || {};
+  }
+  return history;
+}
+
+// Start of the snapshot interval a time falls into
+function intervalStart(time) {
+  const intervalMs = config.intervalMinutes * 60 * 1000;
+  return new Date(Math.floor(new Date(time).getTime() / intervalMs) * intervalMs);
+}
+
+function summarize(analytics, takenAt) {
+  const { escalation } = analytics;
+  return {
+    takenAt: takenAt.toISOString(),
+    crisisLevel: analytics.crisisLevel,
+    escalationIndex: escalation ? escalation.index : null,
+    signals: escalation
+      ? escalation.signals.reduce((scores, signal) => ({ ...scores, [signal.id]: signal.score }), {})
+      : {},
+    articles: Object.values(analytics.categories).reduce((sum, count) => sum + count, 0),
+    stories: analytics.stories.total,
+    categories: analytics.categories,
+    sentimentCounts: analytics.sentimentCounts,
+    topKeywords: analytics.trendingKeywords.slice(0, config.topKeywords)
+  };
+}
+
+function prune(current) {
+  const cutoff = moment().subtract(config.retentionDays, 'days');
+  current.snapshots = current.snapshots.filter(s => moment(s.takenAt).isSameOrAfter(cutoff));
+  Object.keys(current.events).forEach(id => {
+    if (moment(current.events[id].date).isBefore(cutoff)) delete current.events[id];
+  });
+}
+
+// Keep a snapshot of freshly computed analytics. A rebuild within the same
+// interval as the last snapshot replaces it, so each interval keeps its latest state.
+function record(analytics, takenAt = new Date()) {
+  if (!analytics) return Promise.resolve();
+  const current = load();
+  const snapshot = summarize(analytics, takenAt);
+  const last = current.snapshots[current.snapshots.length - 1];
+
+  if (last && intervalStart(last.takenAt).getTime() === intervalStart(takenAt).getTime()) {
+    current.snapshots[current.snapshots.length - 1] = snapshot;
+  } else {
+    current.snapshots.push(snapshot);
+  }
+
+  (analytics.events || []).forEach(event => {
+    current.events[event.id] = {
+      id: event.id,
+      type: event.type,
+      label: event.label,
+      title: event.title,
+      url: event.url,
+      date: event.date,
+      location: event.location ? event.location.name : null,
+      casualties: event.casualties,
+      reportCount: event.reportCount
+    };
+  });
+
+  prune(current);
+  return writeSnapshots(current);
+}
+
+function bucketStart(time, granularity) {
+  // ISO weeks, so a week runs Monday to Sunday
+  return moment(time).startOf(granularity === 'week' ? 'isoWeek' : granularity);
+}
+
+// Snapshots between from and to rolled up per hour, day or week. Each bucket has
+// the average and peak escalation index, the worst level reached, and the counts
+// and keywords from its latest snapshot. Extracted events in the range come
+// alongside so they can be marked on the chart.
+function getHistory({ from, to, granularity = 'day' }) {
+  const { snapshots, events } = load();
+  const start = moment(from);
+  const end = moment(to);
+  const buckets = {};
+
+  snapshots
+    .filter(s => moment(s.takenAt).isBetween(start, end, null, '[]'))
+    .forEach(snapshot => {
+      const key = bucketStart(snapshot.takenAt, granularity).toISOString();
+      if (!buckets[key]) buckets[key] = [];
+      buckets[key].push(snapshot);
+    });
+
+  const series = Object.entries(buckets)
+    .sort((a, b) => new Date(a[0]) - new Date(b[0]))
+    .map(([bucket, group]) => {
+      const latest = group[group.length - 1];
+      const indexes = group.map(s => s.escalationIndex).filter(index => index !== null);
+      const worst = group.reduce((a, b) =>
+        (LEVEL_RANK[b.crisisLevel] || 0) > (LEVEL_RANK[a.crisisLevel] || 0) ? b : a);
+      return {
+        start: bucket,
+        snapshots: group.length,
+        crisisLevel: worst.crisisLevel,
+        latestLevel: latest.crisisLevel,
+        escalationIndex: indexes.length
+          ? Math.round(indexes.reduce((sum, index) => sum + index, 0) / indexes.length)
+          : null,
+        peakIndex: indexes.length ? Math.max(...indexes) : null,
+        articles: latest.articles,
+        stories: latest.stories,
+        categories: latest.categories,
+        sentimentCounts: latest.sentimentCounts,
+        topKeywords: latest.topKeywords
+      };
+    });
+
+  const eventsInRange = Object.values(events)
+    .filter(event => moment(event.date).isBetween(start, end, null, '[]'))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(event => ({ ...event, bucket: bucketStart(event.date, granularity).toISOString() }));
+
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    granularity,
+    intervalMinutes: config.intervalMinutes,
+    series,
+    events: eventsInRange
+  };
+}
+
+module.exports = {
+  GRANULARITIES,
+  record,
+  getHistory
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES_FILE = process.env.SOURCE_REGISTRY ||
+  path.join(__dirname, '..', 'config', 'sources.json');
+
+// Country-code domains that give away an unregistered outlet's country
+const COUNTRY_DOMAINS = [['.in', 'IN'], ['.pk', 'PK']];
+
+let registry = null;
+
+function load() {
+  if (!registry) {
+    const text = fs.readFileSync(SOURCES_FILE, 'utf8');
+    const raw = JSON.parse(text);
+    const byDomain = {};
+    const byName = {};
+    raw.sources.forEach(source => {
+      (source.domains || []).forEach(domain => {
+        byDomain[domain.toLowerCase()] = source;
+      });
+      [source.name, ...(source.aliases || [])].forEach(name => {
+        byName[name.toLowerCase()] = source;
+      });
+    });
+    registry = {
+      fingerprint: crypto.createHash('sha1').update(text).digest('hex'),
+      version: raw.version || 1,
+      perspectives: raw.perspectives,
+      types: raw.types || {},
+      sources: raw.sources,
+      byDomain,
+      byName
+    };
+  }
+  return registry;
+}
+
+function hostOf(url) {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Registered outlet for a host, trying parent domains too (edition.cnn.com -> cnn.com)
+function sourceForHost(host) {
+  const { byDomain } = load();
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const source = byDomain[labels.slice(i).join('.')];
+    if (source) return source;
+  }
+  return null;
+}
+
+function perspectiveFor(country) {
+  const { perspectives } = load();
+  const match = perspectives.find(p => p.countries && p.countries.includes(country));
+  return (match || perspectives.find(p => !p.countries)).id;
+}
+
+// Outlet details for an article: matched by its link's domain, then the source's
+// homepage, then the source name. An unregistered outlet on a .in/.pk domain still
+// gets that country's perspective; anything else is 'unknown'.
+function attribute(article) {
+  const source = article.source || {};
+  const hosts = [hostOf(article.url), hostOf(source.url)].filter(Boolean);
+
+  let match = null;
+  let matchedBy = null;
+  for (const host of hosts) {
+    match = sourceForHost(host);
+    if (match) {
+      matchedBy = 'domain';
+      break;
+    }
+  }
+  if (!match && source.name) {
+    match = load().byName[source.name.trim().toLowerCase()] || null;
+    if (match) matchedBy = 'name';
+  }
+
+  if (match) {
+    return {
+      id: match.id,
+      name: match.name,
+      country: match.country,
+      type: match.type,
+      perspective: perspectiveFor(match.country),
+      matchedBy
+    };
+  }
+
+  const countryDomain = COUNTRY_DOMAINS.find(([suffix]) => hosts.some(host => host.endsWith(suffix)));
+  return {
+    id: null,
+    name: source.name || hosts[0] || null,
+    country: countryDomain ? countryDomain[1] : null,
+    type: null,
+    perspective: countryDomain ? perspectiveFor(countryDomain[1]) : 'unknown',
+    matchedBy: countryDomain ? 'country-domain' : null
+  };
+}
+
+// Perspectives in display order, with 'unknown' last
+function perspectives() {
+  return [
+    ...load().perspectives.map(({ id, label, color }) => ({ id, label, color })),
+    { id: 'unknown', label: 'Unattributed', color: '#6c757d' }
+  ];
+}
+
+// The registry for clients
+function describe() {
+  const { version, types, sources } = load();
+  return {
+    version,
+    perspectives: perspectives(),
+    types,
+    sources: sources.map(({ id, name, country, type, domains }) => ({
+      id, name, country, type, perspective: perspectiveFor(country), domains
+    }))
+  };
+}
+
+// Changes whenever the registry file does
+function fingerprint() {
+  return load().fingerprint;
+}
+
+module.exports = {
+  attribute,
+  perspectives,
+  describe,
+  fingerprint
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const config = require('../config/stream');
+
+// Event ids are "<boot>-<sequence>", so an id from before a restart is recognized
+// as unknown instead of being mistaken for a recent one
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+// Analytics fields sent as deltas; lastUpdated changes every time and says nothing
+const DELTA_IGNORED = ['lastUpdated'];
+
+let sequence = 0;
+let buffer = [];
+// Open responses, each with the user it streams to
+const clients = new Map();
+let previous = null;
+
+function format(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// Events for one user (alert rule matches) only go to that user's connections
+function visibleTo(event, userId) {
+  return !event.userId || event.userId === userId;
+}
+
+function publish(type, data, userId) {
+  sequence++;
+  const event = { id: `${BOOT_ID}-${sequence}`, type, data, userId: userId || null };
+  buffer.push(event);
+  if (buffer.length > config.bufferSize) buffer = buffer.slice(-config.bufferSize);
+  clients.forEach((clientUserId, res) => {
+    if (visibleTo(event, clientUserId)) res.write(format(event));
+  });
+  return event;
+}
+
+// Buffered events after lastEventId, or null when it is from an earlier run or
+// has already dropped out of the buffer and the client has to reload instead
+function eventsAfter(lastEventId) {
+  const [boot, seq] = String(lastEventId).split('-');
+  const after = parseInt(seq, 10);
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > sequence) return null;
+  const oldest = buffer.length ? parseInt(buffer[0].id.split('-')[1], 10) : sequence + 1;
+  if (after < oldest - 1) return null;
+  return buffer.filter(event => parseInt(event.id.split('-')[1], 10) > after);
+}
+
+// Stream events to a response until the client disconnects. A client resuming with
+// Last-Event-ID gets what it missed first; one we can't resume gets a 'reset'.
+// userId, when given, adds that user's alert matches to the stream.
+function subscribe(req, res, lastEventId, userId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.retryMs}\n\n`);
+
+  if (lastEventId) {
+    const missed = eventsAfter(lastEventId);
+    if (missed) {
+      missed
+        .filter(event => visibleTo(event, userId))
+        .forEach(event => res.write(format(event)));
+    } else {
+      res.write(format({ id: `${BOOT_ID}-${sequence}`, type: 'reset', data: { reason: 'Cannot resume from that event' } }));
+    }
+  } else {
+    res.write(format({ id: `${BOOT_ID}-${sequence}`, type: 'ready', data: { clients: clients.size + 1 } }));
+  }
+
+  clients.set(res, userId || null);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.heartbeatSeconds * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+// Top-level analytics fields whose value changed
+function analyticsDelta(before, after) {
+  if (!after) return {};
+  const changed = {};
+  Object.keys(after)
+    .filter(key => !DELTA_IGNORED.includes(key))
+    .forEach(key => {
+      if (!before || JSON.stringify(before[key]) !== JSON.stringify(after[key])) changed[key] = after[key];
+    });
+  return changed;
+}
+
+// Compare a freshly built /api/news payload with the last one and push what
+// changed: new articles with their stories (and ids of those that left the
+// window), a crisis level change, and the analytics fields that moved. The first
+// payload only sets the baseline.
+function publishPayload(payload) {
+  const last = previous;
+  previous = payload;
+  if (!last) return;
+
+  const known = new Set(last.articles.map(article => article.id));
+  const current = new Set(payload.articles.map(article => article.id));
+  const added = payload.articles.filter(article => !known.has(article.id));
+  // Articles that aged out of the history window
+  const removedIds = [...known].filter(id => !current.has(id));
+  if (added.length || removedIds.length) {
+    const clusterIds = new Set(added.map(article => article.clusterId).filter(Boolean));
+    publish('articles', {
+      articles: added,
+      clusters: payload.clusters.filter(cluster => clusterIds.has(cluster.id)),
+      removedIds
+    });
+  }
+
+  const before = last.analytics;
+  const after = payload.analytics;
+  if (after && (!before || before.crisisLevel !== after.crisisLevel)) {
+    publish('crisis', {
+      previous: before ? before.crisisLevel : null,
+      level: after.crisisLevel,
+      index: after.escalation ? after.escalation.index : null
+    });
+  }
+
+  const changed = analyticsDelta(before, after);
+  if (Object.keys(changed).length) {
+    publish('analytics', { changed, lastUpdated: after.lastUpdated });
+  }
+}
+
+// Push an alert rule match to the connections of the user who owns the rule
+function publishAlert(match) {
+  publish('alert', match, match.owner);
+}
+
+module.exports = {
+  subscribe,
+  publishPayload,
+  publishAlert
+};
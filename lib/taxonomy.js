@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE ||
+  path.join(__dirname, '..', 'config', 'taxonomy.json');
+
+let taxonomy = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word pattern for a keyword: "war" must not match "toward", spaces in a
+// phrase match any run of whitespace/hyphens, and a trailing * allows any suffix
+function keywordPattern(keyword) {
+  const prefix = keyword.endsWith('*');
+  const words = keyword.replace(/\*$/, '').trim().split(/\s+/).map(escapeRegExp);
+  const body = words.join('[\\s-]+') + (prefix ? '[a-z0-9-]*' : '');
+  return new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'g');
+}
+
+function compile(raw) {
+  return {
+    version: raw.version || 1,
+    minConfidence: raw.minConfidence || 0.25,
+    categories: raw.categories.map(category => ({
+      id: category.id,
+      label: category.label || category.id,
+      color: category.color || '#6c757d',
+      keywords: Object.entries(category.keywords).map(([keyword, weight]) => ({
+        keyword,
+        weight,
+        pattern: keywordPattern(keyword.toLowerCase())
+      }))
+    }))
+  };
+}
+
+function load() {
+  if (!taxonomy) {
+    const text = fs.readFileSync(TAXONOMY_FILE, 'utf8');
+    taxonomy = {
+      ...compile(JSON.parse(text)),
+      fingerprint: crypto.createHash('sha1').update(text).digest('hex')
+    };
+  }
+  return taxonomy;
+}
+
+// Changes whenever the taxonomy file does, version bump or not
+function fingerprint() {
+  return load().fingerprint;
+}
+
+// Category ids in display order, without 'other'
+function categoryIds() {
+  return load().categories.map(category => category.id);
+}
+
+// The taxonomy without compiled patterns, for clients
+function describe() {
+  const { version, minConfidence, categories } = load();
+  return {
+    version,
+    minConfidence,
+    categories: categories.map(({ id, label, color }) => ({ id, label, color }))
+  };
+}
+
+// Score text against every category. Returns labels above the confidence floor,
+// best first, with confidences normalized to sum to 1 across all categories.
+function classify(text) {
+  const { categories, minConfidence } = load();
+  const textLower = (text || '').toLowerCase();
+
+  const scores = categories.map(category => {
+    const matches = [];
+    const score = category.keywords.reduce((total, { keyword, weight, pattern }) => {
+      const found = textLower.match(pattern);
+      if (!found) return total;
+      matches.push(keyword);
+      return total + found.length * weight;
+    }, 0);
+    return { id: category.id, score, matches };
+  });
+
+  const total = scores.reduce((sum, s) => sum + s.score, 0);
+  if (total === 0) {
+    return [];
+  }
+
+  const ranked = scores
+    .filter(s => s.score > 0)
+    .map(s => ({ ...s, confidence: Math.round((s.score / total) * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+
+  // The top label always survives, even in a close multi-way split
+  return ranked.filter((s, i) => i === 0 || s.confidence >= minConfidence);
+}
+
+module.exports = {
+  keywordPattern,
+  categoryIds,
+  describe,
+  classify,
+  fingerprint
+};
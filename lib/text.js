@@ -0,0 +1,82 @@
+// Shared tokenization for clustering, keywords and classification
+
+// Common English function words plus newswire boilerplate
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+  'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even',
+  'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+  'herself', 'him', 'himself', 'his', 'how', 'however', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'itself', 'just', 'last', 'latest', 'like', 'may', 'me', 'might', 'more', 'most',
+  'much', 'must', 'my', 'myself', 'new', 'news', 'no', 'nor', 'not', 'now', 'of', 'off', 'on',
+  'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'per', 'said', 'same', 'say', 'says', 'she', 'should', 'since', 'so', 'some', 'such', 'than',
+  'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'very', 'via',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'within', 'without', 'would', 'yet', 'you', 'your', 'yours', 'yourself',
+  'yourselves', 'amid', 'among', 'across', 'around', 'told', 'according', 'report',
+  'reports', 'reported', 'week', 'day', 'days', 'monday', 'tuesday', 'wednesday', 'thursday',
+  'friday', 'saturday', 'sunday', 'today', 'yesterday', 'tonight', 'chars'
+]);
+
+// Lowercase words with punctuation stripped ("pakistan," and "pakistan" are one token)
+function tokenize(text) {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[‘’']/g, '')
+    .replace(/[^a-z0-9&\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(Boolean);
+}
+
+// Crude plural folding so "violations" and "violation" match
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 4 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+function isStopword(token) {
+  return STOPWORDS.has(token);
+}
+
+// Tokens that carry meaning: no stopwords, numbers or single letters
+function contentTokens(text) {
+  return tokenize(text).filter(token =>
+    token.length > 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token)
+  );
+}
+
+// Stopwords that can sit inside a phrase: "line of control", "jammu and kashmir"
+const PHRASE_JOINERS = new Set(['of', 'and', '&']);
+
+// Runs of 2..maxLength tokens that start and end with content words and have only
+// content words or joiners between, so "line of control" is a phrase but
+// "welcomed the ceasefire" and "of control" are not
+function ngrams(tokens, maxLength = 3) {
+  const isContent = token => token.length > 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+  const grams = [];
+  for (let length = 2; length <= maxLength; length++) {
+    for (let i = 0; i + length <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + length);
+      const inner = gram.slice(1, -1);
+      if (isContent(gram[0]) && isContent(gram[length - 1]) &&
+          inner.every(token => isContent(token) || PHRASE_JOINERS.has(token))) {
+        grams.push(gram);
+      }
+    }
+  }
+  return grams;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  stem,
+  isStopword,
+  contentTokens,
+  ngrams
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const USERS_FILE = dataPath('users.json');
+const writeUsers = createWriter(USERS_FILE);
+
+// Accounts keyed by id, plus the refresh token sessions still valid, keyed by token id
+let store = null;
+
+function load() {
+  if (!store) {
+    store = readJson(USERS_FILE, {});
+    store.users = store.users || {};
+    store.sessions = store.sessions || {};
+  }
+  return store;
+}
+
+function save() {
+  return writeUsers(load());
+}
+
+// An account as the API shows it, without the password hash
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function count() {
+  return Object.keys(load().users).length;
+}
+
+function listUsers() {
+  return Object.values(load().users)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicUser);
+}
+
+function getUser(id) {
+  return load().users[id] || null;
+}
+
+function findByEmail(email) {
+  const address = normalizeEmail(email);
+  return Object.values(load().users).find(user => user.email === address) || null;
+}
+
+function findByFirebaseUid(uid) {
+  return Object.values(load().users).find(user => user.firebaseUid === uid) || null;
+}
+
+// provider is 'password' (with a passwordHash) or 'firebase' (with a firebaseUid)
+async function createUser({ email, name, role, provider, passwordHash = null, firebaseUid = null }) {
+  const user = {
+    id: crypto.randomBytes(8).toString('hex'),
+    email: normalizeEmail(email),
+    name: name || '',
+    role,
+    provider,
+    passwordHash,
+    firebaseUid,
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+  load().users[user.id] = user;
+  await save();
+  return user;
+}
+
+async function recordLogin(user) {
+  user.lastLoginAt = new Date().toISOString();
+  await save();
+}
+
+async function setRole(id, role) {
+  const user = getUser(id);
+  if (!user) return null;
+  user.role = role;
+  await save();
+  return user;
+}
+
+// Remove an account and sign it out everywhere
+async function removeUser(id) {
+  const current = load();
+  if (!current.users[id]) return false;
+  delete current.users[id];
+  Object.keys(current.sessions).forEach(tokenId => {
+    if (current.sessions[tokenId].userId === id) delete current.sessions[tokenId];
+  });
+  await save();
+  return true;
+}
+
+// Drop expired sessions, and rotated ones past their grace period
+function pruneSessions(current) {
+  const now = new Date().toISOString();
+  Object.keys(current.sessions).forEach(id => {
+    const session = current.sessions[id];
+    if (session.expiresAt < now || (session.graceUntil && session.graceUntil < now)) {
+      delete current.sessions[id];
+    }
+  });
+}
+
+// Sessions back refresh tokens, so signing out or rotating a token revokes it
+async function addSession(tokenId, userId, expiresAt) {
+  const current = load();
+  pruneSessions(current);
+  current.sessions[tokenId] = { userId, createdAt: new Date().toISOString(), expiresAt };
+  await save();
+}
+
+// Replace a session with a new one. The old one stays until graceUntil, pointing
+// at its successor.
+async function rotateSession(tokenId, newTokenId, expiresAt, graceUntil) {
+  const current = load();
+  const session = current.sessions[tokenId];
+  pruneSessions(current);
+  current.sessions[tokenId] = { ...session, replacedBy: newTokenId, graceUntil };
+  current.sessions[newTokenId] = { userId: session.userId, createdAt: new Date().toISOString(), expiresAt };
+  await save();
+}
+
+function getSession(tokenId) {
+  const session = load().sessions[tokenId];
+  if (!session || (session.graceUntil && new Date(session.graceUntil) < new Date())) return null;
+  return session;
+}
+
+// Remove a session and the ones that replaced it
+async function removeSession(tokenId) {
+  const current = load();
+  if (!current.sessions[tokenId]) return false;
+  for (let id = tokenId; id && current.sessions[id];) {
+    const next = current.sessions[id].replacedBy;
+    delete current.sessions[id];
+    id = next;
+  }
+  await save();
+  return true;
+}
+
+module.exports = {
+  publicUser,
+  normalizeEmail,
+  count,
+  listUsers,
+  getUser,
+  findByEmail,
+  findByFirebaseUid,
+  createUser,
+  recordLogin,
+  setRole,
+  removeUser,
+  addSession,
+  rotateSession,
+  getSession,
+  removeSession
+};
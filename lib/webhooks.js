@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const config = require('../config/webhooks');
+const { dataPath, readJson, createWriter } = require('./jsonFile');
+
+const WEBHOOKS_FILE = dataPath('webhooks.json');
+const writeWebhooks = createWriter(WEBHOOKS_FILE);
+const BASELINE_FILE = dataPath('webhook-baseline.json');
+const writeBaseline = createWriter(BASELINE_FILE);
+
+// What a webhook can subscribe to
+const EVENT_TYPES = {
+  priority_article: 'Priority article',
+  crisis_level: 'Crisis level change',
+  significant_event: 'Significant event'
+};
+const FORMATS = ['json', 'slack'];
+const MIN_SECRET_LENGTH = 16;
+
+// Webhooks keyed by id, plus the delivery log newest first
+let store = null;
+// Priority article ids, crisis level and event ids in the last payload, so only
+// changes go out. Saved, so a restart neither resends nor misses anything.
+let previous = null;
+
+function load() {
+  if (!store) {
+    store = readJson(WEBHOOKS_FILE, {});
+    store.webhooks = store.webhooks || {};
+    store.deliveries = store.deliveries || [];
+  }
+  return store;
+}
+
+function save() {
+  const current = load();
+  current.deliveries = current.deliveries.slice(0, config.maxLogSize);
+  return writeWebhooks(current);
+}
+
+function loadBaseline() {
+  if (!previous) previous = readJson(BASELINE_FILE, null);
+  return previous;
+}
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// A webhook as the API shows it; the secret is only returned when it is created
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Problems with a webhook create (every field checked) or update (only fields given)
+function validate(input, partial) {
+  const errors = [];
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('url')) {
+    let url = null;
+    try {
+      url = new URL(input.url);
+    } catch (err) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url must be an http or https URL');
+    }
+  }
+  if (!partial || has('events')) {
+    const events = input.events;
+    if (!Array.isArray(events) || !events.length) {
+      errors.push(`events must be a non-empty list of: ${Object.keys(EVENT_TYPES).join(', ')}`);
+    } else {
+      events.filter(event => !EVENT_TYPES[event]).forEach(event => {
+        errors.push(`Unknown event '${event}'; expected one of: ${Object.keys(EVENT_TYPES).join(', ')}`);
+      });
+    }
+  }
+  if (has('format') && !FORMATS.includes(input.format)) {
+    errors.push(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (has('secret') && (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH)) {
+    errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be a boolean');
+  }
+  if (has('description') && typeof input.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  return errors;
+}
+
+function listWebhooks() {
+  return Object.values(load().webhooks).map(publicWebhook);
+}
+
+function getWebhook(id) {
+  const webhook = load().webhooks[id];
+  return webhook ? publicWebhook(webhook) : null;
+}
+
+// Add a webhook from validated input. Without a secret one is generated.
+async function createWebhook(input) {
+  const now = new Date().toISOString();
+  const webhook = {
+    id: newId(),
+    url: input.url,
+    events: [...new Set(input.events)],
+    format: input.format || 'json',
+    description: input.description || '',
+    active: input.active !== undefined ? input.active : true,
+    secret: input.secret || crypto.randomBytes(24).toString('hex'),
+    createdAt: now,
+    updatedAt: now
+  };
+  load().webhooks[webhook.id] = webhook;
+  await save();
+  return webhook;
+}
+
+async function updateWebhook(id, input) {
+  const webhook = load().webhooks[id];
+  if (!webhook) return null;
+  ['url', 'format', 'description', 'active', 'secret'].forEach(field => {
+    if (input[field] !== undefined) webhook[field] = input[field];
+  });
+  if (input.events !== undefined) webhook.events = [...new Set(input.events)];
+  webhook.updatedAt = new Date().toISOString();
+  await save();
+  return publicWebhook(webhook);
+}
+
+async function removeWebhook(id) {
+  const current = load();
+  if (!current.webhooks[id]) return false;
+  delete current.webhooks[id];
+  await save();
+  return true;
+}
+
+function getDeliveries({ webhookId, limit = 50 } = {}) {
+  return load().deliveries
+    .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+    .slice(0, limit);
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>" in hex. Receivers recompute it with their
+// copy of the secret; the timestamp lets them reject old replays.
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Slack treats &, < and > as markup
+function slackEscape(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackLink(url, text) {
+  return url ? `<${url}|${slackEscape(text)}>` : slackEscape(text);
+}
+
+function slackText(event, data) {
+  if (event === 'priority_article') {
+    const { article } = data;
+    const source = article.source ? ` (${slackEscape(article.source)})` : '';
+    return `:rotating_light: *Priority article*: ${slackLink(article.url, article.title)}${source}`;
+  }
+  if (event === 'crisis_level') {
+    const index = data.index !== null ? ` (escalation index ${data.index})` : '';
+    return `:warning: *Crisis level* changed from ${data.previous || 'unknown'} to *${data.level}*${index}`;
+  }
+  if (event === 'significant_event') {
+    const { event: found } = data;
+    const details = [
+      found.location,
+      found.casualties.killed ? `${found.casualties.killed} killed` : null,
+      found.casualties.injured ? `${found.casualties.injured} injured` : null,
+      `${found.reportCount} report${found.reportCount === 1 ? '' : 's'}`
+    ].filter(Boolean).map(slackEscape).join(' · ');
+    return `:round_pushpin: *${slackEscape(found.label)}*: ${slackLink(found.url, found.title)}\n${details}`;
+  }
+  return slackEscape(data.message);
+}
+
+// The request body in the webhook's format. Slack incoming webhooks only read
+// text and blocks; the JSON format carries the full data.
+function render(format, delivery) {
+  if (format === 'slack') {
+    const text = slackText(delivery.event, delivery.data);
+    return {
+      text,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    };
+  }
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.data
+  };
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth retrying; other 4xx
+// responses mean the receiver rejected the payload and won't change its mind
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelaySeconds(attempts, retryAfter) {
+  const exponential = config.retryBaseSeconds * Math.pow(2, attempts - 1);
+  return Math.min(Math.max(exponential, retryAfter || 0), config.retryMaxSeconds);
+}
+
+function scheduleRetry(delivery) {
+  const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+  setTimeout(() => {
+    attempt(delivery).catch(err => console.error('Webhook delivery failed:', err.message));
+  }, delay);
+}
+
+// POST a delivery to its webhook once, record the outcome and schedule a retry
+// with exponential backoff if it failed and attempts remain
+async function attempt(delivery) {
+  const webhook = load().webhooks[delivery.webhookId];
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.error = 'Webhook was removed';
+    await save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(render(webhook.format, delivery));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const result = { at: new Date(startedAt).toISOString(), httpStatus: null, durationMs: 0, error: null };
+  let retryAfter = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IndPakNews-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      timeout: config.timeoutMs,
+      redirect: 'manual'
+    });
+    result.httpStatus = response.status;
+    if (!response.ok) {
+      result.error = `HTTP ${response.status}`;
+      retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+    }
+  } catch (err) {
+    result.error = err.message;
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(result);
+  delivery.lastAttemptAt = result.at;
+  delivery.httpStatus = result.httpStatus;
+  delivery.error = result.error;
+
+  if (!result.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (isRetryable(result.httpStatus) && delivery.attempts.length < config.maxAttempts) {
+    const seconds = retryDelaySeconds(delivery.attempts.length, retryAfter);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + seconds * 1000).toISOString();
+    scheduleRetry(delivery);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.warn(`Webhook ${webhook.id} gave up on ${delivery.event} delivery ${delivery.id}: ${result.error}`);
+  }
+
+  await save();
+  return delivery;
+}
+
+// Log a delivery and make its first attempt
+function deliver(webhook, event, data) {
+  const delivery = {
+    id: newId(),
+    webhookId: webhook.id,
+    event,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    attempts: [],
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+    httpStatus: null,
+    error: null,
+    data
+  };
+  load().deliveries.unshift(delivery);
+  return attempt(delivery);
+}
+
+// Send to every active webhook subscribed to the event
+function dispatch(event, data) {
+  Object.values(load().webhooks)
+    .filter(webhook => webhook.active && webhook.events.includes(event))
+    .forEach(webhook => {
+      deliver(webhook, event, data).catch(err => console.error('Webhook delivery failed:', err.message));
+    });
+}
+
+// Send a test delivery regardless of the webhook's events and whether it is active
+async function sendTest(id) {
+  const webhook = load().webhooks[id];
+  if (!webhook) return null;
+  return deliver(webhook, 'test', { message: `Test delivery for webhook ${webhook.id}` });
+}
+
+function articleSummary(article) {
+  return {
+    id: article.id,
+    title: article.title,
+    description: article.description || '',
+    url: article.url,
+    source: article.source && article.source.name,
+    publishedAt: article.publishedAt,
+    category: article.category,
+    sentiment: article.sentiment,
+    clusterId: article.clusterId || null
+  };
+}
+
+function eventSummary(event) {
+  return {
+    id: event.id,
+    type: event.type,
+    label: event.label,
+    title: event.title,
+    url: event.url,
+    date: event.date,
+    location: event.location ? event.location.name : null,
+    casualties: event.casualties,
+    reportCount: event.reportCount,
+    sourceCount: event.sourceCount
+  };
+}
+
+// Compare a freshly built /api/news payload with the last one and send newly
+// priority articles, a crisis level change and newly extracted events. The very
+// first payload only sets the baseline.
+function notifyPayload(payload) {
+  const analytics = payload.analytics || {};
+  const priority = payload.articles.filter(article => article.isPriority);
+  const events = analytics.events || [];
+  const last = loadBaseline();
+  previous = {
+    priorityIds: priority.map(article => article.id),
+    crisisLevel: analytics.crisisLevel || null,
+    eventIds: events.map(event => event.id)
+  };
+  if (JSON.stringify(previous) !== JSON.stringify(last)) {
+    writeBaseline(previous).catch(err => console.error('Failed to save webhook baseline:', err.message));
+  }
+  if (!last) return;
+
+  const knownPriority = new Set(last.priorityIds);
+  const knownEvents = new Set(last.eventIds);
+  priority
+    .filter(article => !knownPriority.has(article.id))
+    .forEach(article => dispatch('priority_article', { article: articleSummary(article) }));
+
+  if (analytics.crisisLevel && analytics.crisisLevel !== last.crisisLevel) {
+    dispatch('crisis_level', {
+      previous: last.crisisLevel || null,
+      level: analytics.crisisLevel,
+      index: analytics.escalation ? analytics.escalation.index : null
+    });
+  }
+
+  events
+    .filter(event => !knownEvents.has(event.id))
+    .forEach(event => dispatch('significant_event', { event: eventSummary(event) }));
+}
+
+// Pick up retries that were waiting when the server last stopped
+function resume() {
+  load().deliveries
+    .filter(delivery => ['pending', 'retrying'].includes(delivery.status))
+    .forEach(delivery => {
+      delivery.nextAttemptAt = delivery.nextAttemptAt || new Date().toISOString();
+      scheduleRetry(delivery);
+    });
+}
+
+// Event types and formats for clients
+function describe() {
+  return {
+    events: Object.entries(EVENT_TYPES).map(([id, label]) => ({ id, label })),
+    formats: FORMATS,
+    maxAttempts: config.maxAttempts
+  };
+}
+
+module.exports = {
+  validate,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  removeWebhook,
+  getDeliveries,
+  sendTest,
+  notifyPayload,
+  resume,
+  describe,
+  sign
+};
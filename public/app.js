@@ -1,4 +1,4 @@
-const { useState, useEffect, useCallback } = React;
+const { useState, useEffect, useCallback, useRef } = React;
 
 // Chart.js components
 const { 
@@ -35,21 +35,180 @@ Chart.register(
     Legend
 );
 
-// Main App Component
-function App() {
+// Backend API root
+const API_BASE = 'http://localhost:3000/api';
+
+// Map views as [west, south, east, north] bounds
+const MAP_VIEWS = {
+  kashmir: { label: 'Kashmir & LoC', bounds: [72.6, 32.2, 77.8, 36.0] },
+  region: { label: 'India & Pakistan', bounds: [60.5, 22.0, 82.0, 37.5] }
+};
+const MAP_WIDTH = 800;
+
+// The signed-in session: { user, accessToken, refreshToken }, kept across reloads
+// and shared by every tab through localStorage
+function storedSession() {
+  return JSON.parse(localStorage.getItem('authSession') || 'null');
+}
+
+let authSession = storedSession();
+let refreshing = null;
+let onSignedIn = () => {};
+let onSignedOut = () => {};
+
+function setAuthSession(session) {
+  authSession = session;
+  if (session) {
+    localStorage.setItem('authSession', JSON.stringify(session));
+  } else {
+    localStorage.removeItem('authSession');
+  }
+}
+
+// Seconds until a JWT expires, read from its payload
+function secondsLeft(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp - Date.now() / 1000;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Swap the refresh token for a new pair. Concurrent callers share one request,
+// since the server retires each refresh token once it is used. Another tab may
+// have refreshed first, so its stored session is picked up before and after.
+function refreshSession() {
+  if (!refreshing) {
+    const stored = storedSession();
+    if (stored && authSession && stored.refreshToken !== authSession.refreshToken &&
+      secondsLeft(stored.accessToken) > 60) {
+      authSession = stored;
+      return Promise.resolve(stored);
+    }
+    const refreshToken = stored && stored.refreshToken;
+    refreshing = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(session => {
+        if (session) {
+          setAuthSession(session);
+          return session;
+        }
+        // Only sign out if no other tab has stored a newer session meanwhile
+        const latest = storedSession();
+        if (latest && latest.refreshToken !== refreshToken) {
+          authSession = latest;
+          return latest;
+        }
+        setAuthSession(null);
+        onSignedOut();
+        return null;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// Follow sign-ins, refreshes and sign-outs made in other tabs
+window.addEventListener('storage', event => {
+  if (event.key !== 'authSession') return;
+  const previous = authSession;
+  authSession = storedSession();
+  if (!authSession) {
+    if (previous) onSignedOut();
+  } else if (!previous || previous.user.id !== authSession.user.id) {
+    onSignedIn(authSession.user);
+  }
+});
+
+// An access token good for at least another minute, or null when signed out
+async function freshAccessToken() {
+  if (!authSession) return null;
+  if (secondsLeft(authSession.accessToken) > 60) return authSession.accessToken;
+  const session = await refreshSession();
+  return session && session.accessToken;
+}
+
+// fetch() for the API, signed in. A 401 gets one retry after refreshing the session.
+async function apiFetch(url, options = {}) {
+  const send = token => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` }
+  });
+  const response = await send(await freshAccessToken());
+  if (response.status !== 401 || !authSession) return response;
+  const session = await refreshSession();
+  return session ? send(session.accessToken) : response;
+}
+
+// Whether the user's role includes everything the given role can do
+const ROLES = ['viewer', 'analyst', 'admin'];
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// A new alert rule in the editor; lists are typed comma-separated
+const EMPTY_RULE = {
+  name: '',
+  keywords: '',
+  keywordMode: 'any',
+  categories: [],
+  sentimentMin: '',
+  sentimentMax: '',
+  sources: '',
+  minCount: 1,
+  windowHours: 24,
+  enabled: true
+};
+
+// Main dashboard, for a signed-in user
+function Dashboard({ user, onLogout }) {
   // 1. All state declarations first - in the same order for every render
   const [news, setNews] = useState([]);
+  const [clusters, setClusters] = useState([]);
   const [analytics, setAnalytics] = useState(null);
+  const [taxonomy, setTaxonomy] = useState(null);
+  const [entityTypes, setEntityTypes] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [darkMode, setDarkMode] = useState(false);
   const [activeFilter, setActiveFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeEntity, setActiveEntity] = useState('all');
   const [activeTab, setActiveTab] = useState('dashboard');
   const [timelineView, setTimelineView] = useState(false);
+  const [groupByStory, setGroupByStory] = useState(true);
+  const [showOffTopic, setShowOffTopic] = useState(true);
+  const [sentimentFilter, setSentimentFilter] = useState('all');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [feed, setFeed] = useState(null);
+  const [feedLoading, setFeedLoading] = useState(false);
+  const [liveStatus, setLiveStatus] = useState('connecting');
   const [notificationShown, setNotificationShown] = useState(false);
   const [bookmarks, setBookmarks] = useState([]);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [classifierStatus, setClassifierStatus] = useState(null);
+  const [relabelingId, setRelabelingId] = useState(null);
+  const [basemap, setBasemap] = useState(null);
+  const [mapView, setMapView] = useState('kashmir');
+  const [mapDayIndex, setMapDayIndex] = useState(null);
+  const [selectedPlaceId, setSelectedPlaceId] = useState(null);
+  const [analyticsHistory, setAnalyticsHistory] = useState(null);
+  const [historyGranularity, setHistoryGranularity] = useState('week');
+  const [situationBrief, setSituationBrief] = useState(null);
+  const [eventTypeFilter, setEventTypeFilter] = useState('all');
+  const [alertRules, setAlertRules] = useState(null);
+  const [alertMatches, setAlertMatches] = useState([]);
+  const [ruleDraft, setRuleDraft] = useState(null);
+  const [ruleErrors, setRuleErrors] = useState([]);
+  const [digestEmail, setDigestEmail] = useState(user.email);
+  const [digestFrequency, setDigestFrequency] = useState('daily');
+  const [digestMessage, setDigestMessage] = useState(null);
+  const canLabel = hasRole(user, 'analyst');
   
   // 2. Define callbacks used in effects, so we can control their dependencies
   const showNotification = useCallback((message) => {
@@ -65,13 +224,27 @@ function App() {
     }
   }, []);
 
+  // Alert once on each recent volume or negativity spike
+  const notifyAnomalies = useCallback((anomalies) => {
+    const notifiedAnomalies = JSON.parse(localStorage.getItem('notifiedAnomalies') || '[]');
+    anomalies
+      .filter(anomaly => anomaly.notify && !notifiedAnomalies.includes(anomaly.id))
+      .forEach(anomaly => {
+        const when = anomaly.granularity === 'hour'
+          ? `on ${formatDay(anomaly.date)} at ${anomaly.bucket.slice(11)}`
+          : `on ${formatDay(anomaly.date)}`;
+        showNotification(`Unusual spike ${when}: ${anomaly.description}`);
+        notifiedAnomalies.push(anomaly.id);
+      });
+    localStorage.setItem('notifiedAnomalies', JSON.stringify(notifiedAnomalies.slice(-200)));
+  }, [showNotification]);
+
   // 3. Define the fetch news function as a callback
   const fetchNews = useCallback(async () => {
     try {
       setLoading(true);
-      // Add timestamp to prevent caching
-      const timestamp = new Date().getTime();
-      const response = await fetch(`http://localhost:3000/api/news?t=${timestamp}`);
+      // The server answers with an ETag, so revalidating is cheap when nothing changed
+      const response = await apiFetch(`${API_BASE}/news`, { cache: 'no-cache' });
       
       if (!response.ok) {
         const errorData = await response.json();
@@ -82,6 +255,7 @@ function App() {
       
       if (data.articles) {
         setNews(data.articles);
+        setClusters(data.clusters || []);
         setAnalytics(data.analytics);
         setLastUpdated(new Date());
         
@@ -92,6 +266,8 @@ function App() {
           showNotification(`${highPriorityArticles.length} high priority updates available`);
           setNotificationShown(true);
         }
+        
+        notifyAnomalies((data.analytics && data.analytics.anomalies) || []);
       } else {
         setError('No news articles found');
       }
@@ -101,7 +277,25 @@ function App() {
     } finally {
       setLoading(false);
     }
-  }, [notificationShown, showNotification]);
+  }, [notificationShown, showNotification, notifyAnomalies]);
+  
+  // Merge pushed articles into the list: newest first, replacing any earlier copy,
+  // and dropping those that aged out of the server's history window
+  const mergeArticles = useCallback(({ articles, clusters: updatedStories, removedIds }) => {
+    const replaced = new Set([...removedIds, ...articles.map(article => article.id)]);
+    setNews(currentNews => [...articles, ...currentNews.filter(article => !replaced.has(article.id))]
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)));
+    const updated = new Set(updatedStories.map(cluster => cluster.id));
+    setClusters(currentClusters => [...updatedStories, ...currentClusters.filter(cluster => !updated.has(cluster.id))]);
+    setLastUpdated(new Date());
+    
+    const priority = articles.filter(article => article.isPriority);
+    if (priority.length === 1) {
+      showNotification(`Priority: ${priority[0].title}`);
+    } else if (priority.length > 1) {
+      showNotification(`${priority.length} new priority articles`);
+    }
+  }, [showNotification]);
 
   // 4. All useEffects in a consistent order for every render
   
@@ -135,12 +329,113 @@ function App() {
     localStorage.setItem('newsBookmarks', JSON.stringify(bookmarks));
   }, [bookmarks]);
   
-  // Fetch news data on load and periodically
+  // Load the category taxonomy that drives filters and chart colours
+  useEffect(() => {
+    apiFetch(`${API_BASE}/taxonomy`)
+      .then(response => response.json())
+      .then(setTaxonomy)
+      .catch(err => console.error('Failed to load taxonomy', err));
+  }, []);
+  
+  // Load entity type labels and colours for the entity filter and chips
   useEffect(() => {
-    fetchNews();
-    const interval = setInterval(fetchNews, 300000); // 5 minutes
-    return () => clearInterval(interval);
-  }, [fetchNews]);
+    apiFetch(`${API_BASE}/entities`)
+      .then(response => response.json())
+      .then(gazetteer => setEntityTypes(gazetteer.types || {}))
+      .catch(err => console.error('Failed to load entity types', err));
+  }, []);
+  
+  // Load classifier status (mode and accuracy against analyst labels)
+  const fetchClassifierStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_BASE}/classifier`);
+      setClassifierStatus(await response.json());
+    } catch (err) {
+      console.error('Failed to load classifier status', err);
+    }
+  }, []);
+  
+  useEffect(() => {
+    fetchClassifierStatus();
+  }, [fetchClassifierStatus]);
+  
+  // Fetch news data on load, then follow the live stream. The stream effect reads
+  // these through refs so a new callback doesn't reconnect it.
+  const fetchNewsRef = useRef(fetchNews);
+  const notifyAnomaliesRef = useRef(notifyAnomalies);
+  useEffect(() => {
+    fetchNewsRef.current = fetchNews;
+    notifyAnomaliesRef.current = notifyAnomalies;
+  }, [fetchNews, notifyAnomalies]);
+  
+  useEffect(() => {
+    fetchNewsRef.current();
+    
+    // Without EventSource, fall back to polling
+    if (!('EventSource' in window)) {
+      setLiveStatus('offline');
+      const interval = setInterval(() => fetchNewsRef.current(), 300000); // 5 minutes
+      return () => clearInterval(interval);
+    }
+    
+    let source = null;
+    let lastEventId = null;
+    let retryTimer = null;
+    let closed = false;
+    // EventSource can't send headers, so the access token goes in the URL. A
+    // reconnect with an expired one is refused, and the retry below gets a new one.
+    const connect = async () => {
+      const token = await freshAccessToken();
+      if (closed || !token) return;
+      const params = new URLSearchParams({ access_token: token });
+      if (lastEventId) params.set('lastEventId', lastEventId);
+      source = new EventSource(`${API_BASE}/stream?${params}`);
+      const on = (type, handler) => source.addEventListener(type, event => {
+        lastEventId = event.lastEventId || lastEventId;
+        handler(JSON.parse(event.data));
+      });
+      
+      source.onopen = () => setLiveStatus('live');
+      source.onerror = () => {
+        // EventSource reconnects by itself (resending Last-Event-ID) unless the
+        // connection was refused outright; then try again from the last event seen
+        if (source.readyState === EventSource.CLOSED) {
+          setLiveStatus('offline');
+          retryTimer = setTimeout(connect, 10000);
+        } else {
+          setLiveStatus('connecting');
+        }
+      };
+      on('ready', () => {});
+      // The server can't replay what we missed, so reload everything
+      on('reset', () => fetchNewsRef.current());
+      on('articles', mergeArticles);
+      on('crisis', ({ previous, level, index }) => {
+        setAnalytics(current => current && { ...current, crisisLevel: level });
+        if (previous) {
+          showNotification(`Situation level changed from ${previous} to ${level} (index ${index}/100)`);
+        }
+      });
+      on('analytics', ({ changed }) => {
+        setAnalytics(current => current && { ...current, ...changed });
+        if (changed.anomalies) notifyAnomaliesRef.current(changed.anomalies);
+      });
+      // One of our alert rules matched newly ingested articles
+      on('alert', match => {
+        setAlertMatches(current => [match, ...current.filter(m => m.id !== match.id)]);
+        showNotification(match.count === 1
+          ? `${match.ruleName}: ${match.articles[0].title}`
+          : `${match.ruleName}: ${match.count} articles in ${match.windowHours}h`);
+      });
+    };
+    connect();
+    
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [mergeArticles, showNotification]);
   
   // Initialize dashboard charts
   useEffect(() => {
@@ -158,10 +453,13 @@ function App() {
         if (document.getElementById('keywordChart')) {
           renderKeywordChart('keywordChart', analytics);
         }
+        if (document.getElementById('perspectiveChart')) {
+          renderPerspectiveChart('perspectiveChart', analytics);
+        }
       }, 200);
       return () => clearTimeout(initCharts);
     }
-  }, [analytics, activeTab, darkMode]);
+  }, [analytics, activeTab, darkMode, taxonomy]);
   
   // Initialize situation charts
   useEffect(() => {
@@ -170,10 +468,105 @@ function App() {
         if (document.getElementById('situationTimelineChart')) {
           renderTimelineChart('situationTimelineChart', analytics);
         }
+        if (document.getElementById('escalationHistoryChart')) {
+          renderEscalationHistoryChart('escalationHistoryChart', analyticsHistory, analytics);
+        }
       }, 200);
       return () => clearTimeout(initSituationCharts);
     }
-  }, [analytics, activeTab, darkMode]);
+  }, [analytics, analyticsHistory, activeTab, darkMode, taxonomy]);
+  
+  // Load the analytics history for the Situation tab; new analytics mean a new snapshot
+  useEffect(() => {
+    if (activeTab === 'situation' && analytics) {
+      apiFetch(`${API_BASE}/analytics/history?granularity=${historyGranularity}`)
+        .then(response => response.json())
+        .then(setAnalyticsHistory)
+        .catch(err => console.error('Failed to load analytics history', err));
+    }
+  }, [activeTab, analytics, historyGranularity]);
+  
+  // Load today's situation brief for the Situation tab
+  useEffect(() => {
+    if (activeTab === 'situation' && analytics) {
+      apiFetch(`${API_BASE}/brief`)
+        .then(response => response.json())
+        .then(setSituationBrief)
+        .catch(err => console.error('Failed to load situation brief', err));
+    }
+  }, [activeTab, analytics]);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+  
+  // Query the News Feed page by page on the server; cursor continues a previous page
+  const fetchFeed = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: '30' });
+    if (activeFilter !== 'all') params.set('category', activeFilter);
+    if (activeEntity !== 'all') params.set('entity', activeEntity);
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (!showOffTopic) params.set('inScope', 'true');
+    if (sentimentFilter === 'positive') params.set('sentimentMin', '0.001');
+    if (sentimentFilter === 'negative') params.set('sentimentMax', '-0.001');
+    if (sentimentFilter === 'neutral') {
+      params.set('sentimentMin', '0');
+      params.set('sentimentMax', '0');
+    }
+    if (cursor) params.set('cursor', cursor);
+    
+    try {
+      setFeedLoading(true);
+      const response = await apiFetch(`${API_BASE}/articles?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error((data.details || []).join('; ') || data.error || 'Failed to load articles');
+      }
+      setFeed(currentFeed => cursor && currentFeed
+        ? { ...data, articles: [...currentFeed.articles, ...data.articles] }
+        : data);
+    } catch (err) {
+      console.error('Failed to load articles', err);
+      setFeed({ articles: [], total: 0, facets: null, nextCursor: null, error: err.message });
+    } finally {
+      setFeedLoading(false);
+    }
+  }, [activeFilter, activeEntity, debouncedSearch, showOffTopic, sentimentFilter]);
+  
+  // New filters, or newly ingested news, start the feed again from the first page
+  useEffect(() => {
+    if (activeTab === 'news') fetchFeed();
+  }, [activeTab, fetchFeed, lastUpdated]);
+  
+  // Load the user's alert rules and their recent matches
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const [rulesResponse, matchesResponse] = await Promise.all([
+        apiFetch(`${API_BASE}/alert-rules`),
+        apiFetch(`${API_BASE}/alert-matches?limit=30`)
+      ]);
+      setAlertRules((await rulesResponse.json()).rules || []);
+      setAlertMatches((await matchesResponse.json()).matches || []);
+    } catch (err) {
+      console.error('Failed to load alert rules', err);
+    }
+  }, []);
+  
+  useEffect(() => {
+    if (activeTab === 'alerts') fetchAlerts();
+  }, [activeTab, fetchAlerts]);
+  
+  // Load the bundled basemap the first time the Map tab opens
+  useEffect(() => {
+    if (activeTab === 'map' && !basemap) {
+      fetch('geo/south-asia.geojson')
+        .then(response => response.json())
+        .then(setBasemap)
+        .catch(err => console.error('Failed to load basemap', err));
+    }
+  }, [activeTab, basemap]);
 
   // 5. Helper functions
   const toggleBookmark = (article) => {
@@ -192,19 +585,245 @@ function App() {
     return bookmarks.some(bookmark => bookmark.url === article.url);
   };
   
-  // Filter news based on active filter and search query
-  const filteredNews = news.filter(article => {
-    const matchesFilter = activeFilter === 'all' || article.category === activeFilter;
-    const matchesSearch = !searchQuery || 
-      (article.title && article.title.toLowerCase().includes(searchQuery.toLowerCase())) ||
-      (article.description && article.description.toLowerCase().includes(searchQuery.toLowerCase()));
-    return matchesFilter && matchesSearch;
+  // Save an analyst's category/priority for an article; it also trains the model
+  const saveLabel = async (article, label) => {
+    try {
+      const response = await apiFetch(`${API_BASE}/articles/${article.id}/label`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(label)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save label');
+      }
+      
+      const relabel = a => a.id === article.id ? {
+        ...a,
+        category: label.category,
+        categories: [{ id: label.category, confidence: 1 }],
+        isPriority: label.isPriority,
+        analystLabel: label,
+        classifiedBy: 'analyst'
+      } : a;
+      setNews(currentNews => currentNews.map(relabel));
+      setFeed(currentFeed => currentFeed && { ...currentFeed, articles: currentFeed.articles.map(relabel) });
+      setClassifierStatus(data.classifier);
+      setRelabelingId(null);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+  
+  const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+  const numberOrNull = (value) => value === '' || value === null ? null : Number(value);
+  
+  // Create or update the alert rule in the editor
+  const saveAlertRule = async () => {
+    const rule = {
+      name: ruleDraft.name,
+      keywords: splitList(ruleDraft.keywords),
+      keywordMode: ruleDraft.keywordMode,
+      categories: ruleDraft.categories,
+      sentimentMin: numberOrNull(ruleDraft.sentimentMin),
+      sentimentMax: numberOrNull(ruleDraft.sentimentMax),
+      sources: splitList(ruleDraft.sources),
+      minCount: parseInt(ruleDraft.minCount, 10),
+      windowHours: Number(ruleDraft.windowHours),
+      enabled: ruleDraft.enabled
+    };
+    try {
+      const response = await apiFetch(`${API_BASE}/alert-rules${ruleDraft.id ? `/${ruleDraft.id}` : ''}`, {
+        method: ruleDraft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(rule)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setRuleErrors(data.details || [data.error || 'Failed to save alert rule']);
+        return;
+      }
+      setRuleDraft(null);
+      setRuleErrors([]);
+      fetchAlerts();
+    } catch (err) {
+      setRuleErrors([err.message]);
+    }
+  };
+  
+  const editAlertRule = (rule) => {
+    setRuleErrors([]);
+    setRuleDraft({
+      ...rule,
+      keywords: rule.keywords.join(', '),
+      sources: rule.sources.join(', '),
+      sentimentMin: rule.sentimentMin === null ? '' : rule.sentimentMin,
+      sentimentMax: rule.sentimentMax === null ? '' : rule.sentimentMax
+    });
+  };
+  
+  const toggleAlertRule = async (rule) => {
+    try {
+      const response = await apiFetch(`${API_BASE}/alert-rules/${rule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+      if (!response.ok) throw new Error('Failed to update alert rule');
+      fetchAlerts();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+  
+  const deleteAlertRule = async (rule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.name}"?`)) return;
+    try {
+      const response = await apiFetch(`${API_BASE}/alert-rules/${rule.id}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) throw new Error('Failed to delete alert rule');
+      fetchAlerts();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+  
+  // One-line summary of what an alert rule looks for
+  const describeAlertRule = (rule) => {
+    const parts = [];
+    if (rule.keywords.length) {
+      parts.push(`${rule.keywordMode === 'all' ? 'all of' : 'any of'} ${rule.keywords.map(k => `"${k}"`).join(', ')}`);
+    }
+    if (rule.categories.length) parts.push(`in ${rule.categories.map(categoryLabel).join(' or ')}`);
+    if (rule.sentimentMin !== null) parts.push(`sentiment ≥ ${rule.sentimentMin}`);
+    if (rule.sentimentMax !== null) parts.push(`sentiment ≤ ${rule.sentimentMax}`);
+    if (rule.sources.length) parts.push(`from ${rule.sources.join(', ')}`);
+    const count = rule.minCount > 1 ? `${rule.minCount} articles within ${rule.windowHours}h` : 'each article';
+    return `${count}: ${parts.join('; ')}`;
+  };
+  
+  // Ask for the email digest; the server mails a link to confirm the address
+  const subscribeToDigest = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await apiFetch(`${API_BASE}/digests/subscriptions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: digestEmail, frequency: digestFrequency })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error((data.details || []).join('; ') || data.error || 'Failed to subscribe');
+      }
+      setDigestMessage({ type: 'success', text: data.message });
+      setDigestEmail('');
+    } catch (err) {
+      setDigestMessage({ type: 'danger', text: err.message });
+    }
+  };
+  
+  // Switch between keyword rules and the trained model for the dashboard
+  const setClassifierMode = async (mode) => {
+    try {
+      const response = await apiFetch(`${API_BASE}/classifier/mode`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to switch classifier');
+      }
+      setClassifierStatus(data);
+      fetchNews();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+  
+  const formatAccuracy = (value) => value === null || value === undefined
+    ? 'n/a'
+    : `${Math.round(value * 100)}%`;
+  
+  // Display label and chart colour for a category id, from the taxonomy
+  const taxonomyCategory = (id) => taxonomy && taxonomy.categories.find(c => c.id === id);
+  const categoryLabel = (id) => {
+    const category = taxonomyCategory(id);
+    return category ? category.label : id.charAt(0).toUpperCase() + id.slice(1);
+  };
+  const categoryColor = (id) => {
+    const category = taxonomyCategory(id);
+    return category ? category.color : '#6c757d';
+  };
+  
+  // Tooltip explaining why an article is left out of crisis scoring
+  const relevanceBreakdown = (article) => {
+    const { relevance } = article;
+    if (!relevance) return 'Left out of crisis scoring';
+    return [`Relevance ${relevance.score} - left out of crisis scoring`, ...relevance.reasons].join('\n');
+  };
+  
+  // Tooltip listing the terms behind an article's sentiment score
+  const sentimentBreakdown = (article) => {
+    const detail = article.sentimentDetail;
+    if (!detail || !detail.contributions) return `Score ${article.sentiment}`;
+    const terms = detail.contributions.slice(0, 8).map(c =>
+      `${c.term}${c.negated ? ' (negated)' : ''}: ${c.score > 0 ? '+' : ''}${c.score}`
+    );
+    return [`Score ${detail.score} (${detail.lexicon})`, ...terms].join('\n');
+  };
+  const filterOptions = ['all', ...(taxonomy ? taxonomy.categories.map(c => c.id) : []), 'other'];
+  
+  const entityTypeLabel = (type) => (entityTypes[type] && entityTypes[type].label) || type;
+  const entityTypeColor = (type) => (entityTypes[type] && entityTypes[type].color) || '#6c757d';
+  
+  // Every entity named in the loaded news, most reported first, grouped by type
+  const entityCounts = {};
+  news.forEach(article => {
+    (article.entities || []).forEach(entity => {
+      if (!entityCounts[entity.id]) entityCounts[entity.id] = { ...entity, count: 0 };
+      entityCounts[entity.id].count++;
+    });
   });
+  const entityOptions = {};
+  Object.values(entityCounts)
+    .sort((a, b) => b.count - a.count)
+    .forEach(entity => {
+      if (!entityOptions[entity.type]) entityOptions[entity.type] = [];
+      entityOptions[entity.type].push(entity);
+    });
   
-  // Sort by published date (newest first)
-  const sortedNews = [...filteredNews].sort((a, b) => 
-    new Date(b.publishedAt) - new Date(a.publishedAt)
-  );
+  const filterByEntity = (entityId) => {
+    setActiveEntity(entityId);
+    setActiveTab('news');
+  };
+  
+  // The News Feed is filtered, searched and sorted on the server (newest first, or
+  // best match first when searching). Stories come from the clusters loaded with the news.
+  const feedArticles = feed ? feed.articles : [];
+  const clusterIdOf = {};
+  news.forEach(article => {
+    if (article.clusterId) clusterIdOf[article.id] = article.clusterId;
+  });
+  const sortedNews = feedArticles.map(article => ({
+    ...article,
+    clusterId: article.clusterId || clusterIdOf[article.id]
+  }));
+  
+  // One card per story: the first matching report stands in for its cluster
+  const clustersById = {};
+  clusters.forEach(cluster => {
+    clustersById[cluster.id] = cluster;
+  });
+  const seenStories = new Set();
+  const storyNews = sortedNews.filter(article => {
+    const storyId = article.clusterId || article.url;
+    if (seenStories.has(storyId)) return false;
+    seenStories.add(storyId);
+    return true;
+  });
+  const feedNews = groupByStory ? storyNews : sortedNews;
   
   // Get priority articles
   const priorityArticles = news.filter(article => article.isPriority)
@@ -222,6 +841,13 @@ function App() {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
   
+  // Format a YYYY-MM-DD day key for display
+  const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+  
   // Get crisis level class
   const getCrisisLevelClass = (level) => {
     switch(level) {
@@ -236,8 +862,10 @@ function App() {
   const getCategoryClass = (category) => {
     switch(category) {
       case 'military': return 'bg-danger';
+      case 'terrorism': return 'bg-warning';
       case 'diplomatic': return 'bg-primary';
       case 'economic': return 'bg-success';
+      case 'water': return 'bg-info';
       case 'social': return 'bg-info';
       default: return 'bg-secondary';
     }
@@ -260,16 +888,10 @@ function App() {
     window.categoryChart = new Chart(ctx, {
       type: 'doughnut',
       data: {
-        labels: Object.keys(categories).map(cat => cat.charAt(0).toUpperCase() + cat.slice(1)),
+        labels: Object.keys(categories).map(categoryLabel),
         datasets: [{
           data: Object.values(categories),
-          backgroundColor: [
-            '#dc3545', // Military - red
-            '#0d6efd', // Diplomatic - blue
-            '#198754', // Economic - green
-            '#6f42c1', // Social - purple
-            '#6c757d'  // Other - gray
-          ],
+          backgroundColor: Object.keys(categories).map(categoryColor),
           borderWidth: 1
         }]
       },
@@ -345,6 +967,13 @@ function App() {
     
     const dates = timelineData.map(item => item.date);
     
+    // Anomalies of any granularity are marked on the day they fall in
+    const anomaliesByDate = {};
+    (analytics.anomalies || []).forEach(anomaly => {
+      if (!anomaliesByDate[anomaly.date]) anomaliesByDate[anomaly.date] = [];
+      anomaliesByDate[anomaly.date].push(anomaly);
+    });
+    
     window[`${containerId}Instance`] = new Chart(ctx, {
       type: 'line',
       data: {
@@ -358,21 +987,23 @@ function App() {
             tension: 0.1
           },
           {
-            label: 'Military',
-            data: timelineData.map(item => item.military || 0),
-            fill: false,
-            borderColor: '#dc3545',
-            tension: 0.1,
-            hidden: true
+            label: 'Anomalies',
+            data: timelineData.map(item => (anomaliesByDate[item.date] ? item.count : null)),
+            showLine: false,
+            pointStyle: 'rectRot',
+            pointRadius: 9,
+            pointHoverRadius: 11,
+            backgroundColor: '#dc3545',
+            borderColor: '#dc3545'
           },
-          {
-            label: 'Diplomatic',
-            data: timelineData.map(item => item.diplomatic || 0),
+          ...(taxonomy ? taxonomy.categories : []).map(category => ({
+            label: category.label,
+            data: timelineData.map(item => item[category.id] || 0),
             fill: false,
-            borderColor: '#0dcaf0',
+            borderColor: category.color,
             tension: 0.1,
             hidden: true
-          }
+          }))
         ]
       },
       options: {
@@ -384,7 +1015,15 @@ function App() {
           },
           tooltip: {
             mode: 'index',
-            intersect: false
+            intersect: false,
+            callbacks: {
+              afterBody: (items) => {
+                const dayAnomalies = anomaliesByDate[dates[items[0].dataIndex]] || [];
+                return dayAnomalies.map(anomaly =>
+                  `⚠ ${anomaly.granularity === 'hour' ? `${anomaly.bucket.slice(11)} ` : ''}${anomaly.description}`
+                );
+              }
+            }
           }
         },
         scales: {
@@ -419,27 +1058,211 @@ function App() {
       window.keywordChart.destroy();
     }
     
+    // Without a baseline there is nothing to compare against, only raw mentions
+    const hasBaseline = trendingKeywords.some(item => item.lift !== null);
+    const formatDelta = (item) => (item.delta > 0 ? `+${item.delta}` : `${item.delta}`);
+    
     window.keywordChart = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: trendingKeywords.map(item => item.word),
-        datasets: [{
-          label: 'Mentions',
-          data: trendingKeywords.map(item => item.count),
-          backgroundColor: '#6610f2',
-          borderWidth: 1
-        }]
+        labels: trendingKeywords.map(item => (hasBaseline ? `${item.word} (${formatDelta(item)} pts)` : item.word)),
+        datasets: [
+          {
+            label: 'Recent mentions',
+            data: trendingKeywords.map(item => item.count),
+            backgroundColor: '#6610f2',
+            borderWidth: 1
+          },
+          ...(hasBaseline ? [{
+            label: 'Expected from baseline',
+            data: trendingKeywords.map(item => item.expectedCount),
+            backgroundColor: '#adb5bd',
+            borderWidth: 1
+          }] : [])
+        ]
       },
       options: {
         indexAxis: 'y',
         responsive: true,
         plugins: {
           legend: {
-            display: false
+            display: hasBaseline
           },
           title: {
             display: true,
-            text: 'Trending Keywords'
+            text: hasBaseline ? 'Trending Keywords vs. Baseline' : 'Trending Keywords'
+          },
+          tooltip: {
+            callbacks: {
+              afterBody: (items) => {
+                const item = trendingKeywords[items[0].dataIndex];
+                if (item.lift === null) return [];
+                return [
+                  `${item.lift}× the baseline rate`,
+                  `${formatDelta(item)} percentage points of articles`
+                ];
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  function renderPerspectiveChart(containerId, analytics) {
+    if (!analytics || !analytics.perspectives) return;
+    
+    const ctx = document.getElementById(containerId);
+    if (!ctx) return;
+    
+    const { perspectives, timeline, summary } = analytics.perspectives;
+    
+    // Clear any existing chart
+    if (window.perspectiveChart) {
+      window.perspectiveChart.destroy();
+    }
+    
+    window.perspectiveChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: timeline.map(item => item.date),
+        datasets: perspectives
+          .filter(perspective => summary[perspective.id].articles > 0)
+          .map(perspective => ({
+            label: perspective.label,
+            data: timeline.map(item => item[perspective.id] || 0),
+            fill: false,
+            borderColor: perspective.color,
+            tension: 0.1
+          }))
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: 'Coverage by Perspective'
+          },
+          tooltip: {
+            mode: 'index',
+            intersect: false
+          }
+        },
+        scales: {
+          y: {
+            title: {
+              display: true,
+              text: 'Articles Count'
+            },
+            beginAtZero: true
+          }
+        }
+      }
+    });
+  }
+
+  // Escalation index over time, with significant events marked on the bucket they fall in
+  function renderEscalationHistoryChart(containerId, history, analytics) {
+    if (!history || !history.series) return;
+    
+    const ctx = document.getElementById(containerId);
+    if (!ctx) return;
+    
+    const { series, events, granularity } = history;
+    const thresholds = analytics && analytics.escalation ? analytics.escalation.thresholds : {};
+    
+    // Clear any existing chart
+    if (window.escalationHistoryChart) {
+      window.escalationHistoryChart.destroy();
+    }
+    
+    const formatBucket = (start) => {
+      const date = new Date(start);
+      if (granularity === 'hour') {
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' });
+      }
+      const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      return granularity === 'week' ? `Week of ${day}` : day;
+    };
+    
+    const eventsByBucket = {};
+    events.forEach(event => {
+      if (!eventsByBucket[event.bucket]) eventsByBucket[event.bucket] = [];
+      eventsByBucket[event.bucket].push(event);
+    });
+    
+    const thresholdColors = { moderate: '#0dcaf0', elevated: '#ffc107', severe: '#dc3545' };
+    
+    window.escalationHistoryChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: series.map(item => formatBucket(item.start)),
+        datasets: [
+          {
+            label: 'Peak index',
+            data: series.map(item => item.peakIndex),
+            fill: false,
+            borderColor: '#dc3545',
+            tension: 0.1
+          },
+          {
+            label: 'Average index',
+            data: series.map(item => item.escalationIndex),
+            fill: false,
+            borderColor: '#6c757d',
+            borderDash: [4, 4],
+            tension: 0.1
+          },
+          {
+            label: 'Significant events',
+            data: series.map(item => (eventsByBucket[item.start] ? item.peakIndex : null)),
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 8,
+            pointHoverRadius: 10,
+            backgroundColor: '#212529',
+            borderColor: '#212529'
+          },
+          ...Object.entries(thresholds).map(([level, value]) => ({
+            label: `${level.charAt(0).toUpperCase() + level.slice(1)} threshold`,
+            data: series.map(() => value),
+            fill: false,
+            borderColor: thresholdColors[level] || '#adb5bd',
+            borderWidth: 1,
+            borderDash: [2, 6],
+            pointRadius: 0
+          }))
+        ]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: 'Escalation Index Over Time'
+          },
+          tooltip: {
+            callbacks: {
+              afterBody: (items) => {
+                const bucket = series[items[0].dataIndex];
+                const bucketEvents = eventsByBucket[bucket.start] || [];
+                return [
+                  `Level: ${bucket.crisisLevel}`,
+                  ...bucketEvents.slice(0, 3).map(event => `• ${event.title}`),
+                  ...(bucketEvents.length > 3 ? [`+${bucketEvents.length - 3} more events`] : [])
+                ];
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            title: {
+              display: true,
+              text: 'Escalation Index'
+            },
+            min: 0,
+            max: 100
           }
         }
       }
@@ -462,12 +1285,105 @@ function App() {
         {level === 'normal' && <i className="bi bi-check-circle-fill me-1"></i>}
         
         Situation Level: {level.charAt(0).toUpperCase() + level.slice(1)}
+        {analytics.escalation && ` (${analytics.escalation.index}/100)`}
       </span>
     );
   };
   
+  // Escalation Breakdown Component: the signals behind the index and the
+  // articles that drove them
+  const EscalationBreakdown = () => {
+    if (!analytics || !analytics.escalation) return null;
+    
+    const { index, level, thresholds, window, signals, articles } = analytics.escalation;
+    const signalLabels = signals.reduce((labels, signal) => ({ ...labels, [signal.id]: signal.label }), {});
+    
+    return (
+      <div className="card mb-4 border-0 shadow-sm">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h6 className="mb-0">Escalation Index</h6>
+          <small className="text-muted">
+            Last {window.hours}h &middot; {window.conflictArticles} of {window.articles} articles on conflict
+            {window.excludedArticles > 0 && (
+              <span title="Sports and off-topic articles are left out of the index">
+                {' '}&middot; {window.excludedArticles} off-topic excluded
+              </span>
+            )}
+          </small>
+        </div>
+        <div className="card-body">
+          <div className="d-flex align-items-center mb-1">
+            <div className="progress flex-grow-1 me-3" style={{ height: '1.25rem' }}>
+              <div
+                className={`progress-bar ${getCrisisLevelClass(level)}`}
+                role="progressbar"
+                style={{ width: `${index}%` }}
+                aria-valuenow={index}
+                aria-valuemin="0"
+                aria-valuemax="100"
+              >
+                {index}
+              </div>
+            </div>
+            <strong>{index}/100</strong>
+          </div>
+          <div className="small text-muted mb-3">
+            Moderate from {thresholds.moderate}, elevated from {thresholds.elevated}, severe from {thresholds.severe}
+          </div>
+          
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-3">
+              <thead>
+                <tr>
+                  <th>Signal</th>
+                  <th className="text-end">Score</th>
+                  <th className="text-end">Weight</th>
+                  <th className="text-end">Points</th>
+                  <th>Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {signals.map(signal => (
+                  <tr key={signal.id}>
+                    <td>{signal.label}</td>
+                    <td className="text-end">{Math.round(signal.score * 100)}%</td>
+                    <td className="text-end">{Math.round(signal.weight * 100)}%</td>
+                    <td className="text-end fw-bold">{signal.contribution}</td>
+                    <td className="small text-muted">{signal.detail}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          
+          {articles.length > 0 && (
+            <>
+              <h6 className="small text-uppercase text-muted">Contributing articles</h6>
+              <ul className="list-group list-group-flush">
+                {articles.map(article => (
+                  <li key={article.id || article.url} className="list-group-item px-0">
+                    <a href={article.url} target="_blank" rel="noopener noreferrer">{article.title}</a>
+                    <div className="small text-muted">
+                      {article.source} &middot; sentiment {article.sentiment}
+                      {article.keywords && article.keywords.length > 0 && ` · ${article.keywords.join(', ')}`}
+                    </div>
+                    <div>
+                      {article.signals.map(id => (
+                        <span key={id} className="badge bg-light text-dark border me-1">{signalLabels[id]}</span>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+  
   // News Card Component
-  const NewsCard = ({ article }) => {
+  const NewsCard = ({ article, story }) => {
     const bookmarked = isBookmarked(article);
     const priorityArticle = article.isPriority;
     
@@ -508,10 +1424,17 @@ function App() {
         
         <div className="card-body">
           <div className="d-flex justify-content-between align-items-start mb-2">
-            <span className={`category-badge category-${article.category}`}>
-              {article.category.charAt(0).toUpperCase() + article.category.slice(1)}
+            <span>
+              <span className={`category-badge category-${article.category}`}>
+                {categoryLabel(article.category)}
+              </span>
+              {article.inScope === false && article.category !== 'sports' && (
+                <span className="badge bg-light text-muted border ms-1" title={relevanceBreakdown(article)}>
+                  Off-topic
+                </span>
+              )}
             </span>
-            <span className={`badge ${
+            <span title={sentimentBreakdown(article)} className={`badge ${
               article.sentiment > 0 ? 'bg-success' :
               article.sentiment < 0 ? 'bg-danger' : 'bg-secondary'
             }`}>
@@ -523,6 +1446,30 @@ function App() {
           <h5 className="card-title">{article.title}</h5>
           <p className="card-text">{article.description}</p>
           
+          {article.entities && article.entities.length > 0 && (
+            <div className="mb-2">
+              {article.entities.slice(0, 5).map(entity => (
+                <button
+                  key={entity.id}
+                  type="button"
+                  className="btn btn-sm btn-outline-secondary me-1 mb-1 py-0"
+                  style={{ borderColor: entityTypeColor(entity.type), color: entityTypeColor(entity.type) }}
+                  title={`${entityTypeLabel(entity.type)} - show all coverage`}
+                  onClick={() => filterByEntity(entity.id)}
+                >
+                  {entity.name}
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {story && story.articleCount > 1 && (
+            <p className="small text-muted mb-0" title={story.sources.join(', ')}>
+              <i className="bi bi-layers me-1"></i>
+              {story.articleCount} reports from {story.sourceCount} {story.sourceCount === 1 ? 'source' : 'sources'}
+            </p>
+          )}
+          
           <div className="d-flex justify-content-between align-items-center mt-2">
             <small className="text-muted">
               {article.source && article.source.name}
@@ -534,6 +1481,51 @@ function App() {
         </div>
         
         <div className="card-footer">
+          {relabelingId === article.id ? (
+            <form
+              className="mb-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                saveLabel(article, {
+                  category: e.target.elements.category.value,
+                  isPriority: e.target.elements.isPriority.checked
+                });
+              }}
+            >
+              <select name="category" className="form-select form-select-sm mb-2" defaultValue={article.category}>
+                {filterOptions.filter(option => option !== 'all').map(option => (
+                  <option key={option} value={option}>{categoryLabel(option)}</option>
+                ))}
+              </select>
+              <div className="form-check mb-2">
+                <input
+                  name="isPriority"
+                  type="checkbox"
+                  className="form-check-input"
+                  id={`priority-${article.id}`}
+                  defaultChecked={article.isPriority}
+                />
+                <label className="form-check-label small" htmlFor={`priority-${article.id}`}>
+                  Priority
+                </label>
+              </div>
+              <div className="d-flex">
+                <button type="submit" className="btn btn-sm btn-success me-2">Save label</button>
+                <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setRelabelingId(null)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : canLabel ? (
+            <button
+              className="btn btn-sm btn-link text-muted p-0 mb-2"
+              onClick={() => setRelabelingId(article.id)}
+              title={article.classifiedBy ? `Classified by ${article.classifiedBy}` : undefined}
+            >
+              <i className={`bi ${article.analystLabel ? 'bi-tag-fill' : 'bi-tag'} me-1`}></i>
+              {article.analystLabel ? 'Relabeled by analyst' : 'Relabel'}
+            </button>
+          ) : null}
           <a
             href={article.url}
             target="_blank"
@@ -547,62 +1539,383 @@ function App() {
     );
   };
   
-  // Timeline View Component
-  const TimelineView = ({ articles }) => {
-    if (!articles.length) {
-      return (
-        <div className="alert alert-info">
-          No articles found for the selected filters.
-        </div>
-      );
-    }
+  // Timeline View Component
+  const TimelineView = ({ articles }) => {
+    if (!articles.length) {
+      return (
+        <div className="alert alert-info">
+          No articles found for the selected filters.
+        </div>
+      );
+    }
+    
+    // Group articles by date
+    const groupedArticles = {};
+    articles.forEach(article => {
+      const date = new Date(article.publishedAt).toLocaleDateString();
+      
+      if (!groupedArticles[date]) {
+        groupedArticles[date] = [];
+      }
+      
+      groupedArticles[date].push(article);
+    });
+    
+    return (
+      <div className="timeline-container">
+        {Object.entries(groupedArticles).sort((a, b) => {
+          return new Date(b[0]) - new Date(a[0]);
+        }).map(([date, dateArticles]) => (
+          <div key={date} className="timeline-day mb-4">
+            <h3 className="timeline-date bg-light p-2 rounded">{date}</h3>
+            <div className="timeline-articles">
+              {dateArticles.map((article, i) => (
+                <div key={i} className="timeline-item">
+                  <div className="timeline-item-content p-3 mb-3 border-start border-4 border-primary">
+                    <span className={`timeline-dot ${getCategoryClass(article.category)}`}></span>
+                    <time>{new Date(article.publishedAt).toLocaleTimeString()}</time>
+                    <h5>{article.title}</h5>
+                    <p>{article.description}</p>
+                    <div className="d-flex justify-content-between align-items-center">
+                      <span className={`category-badge category-${article.category}`}>
+                        {categoryLabel(article.category)}
+                      </span>
+                      <a 
+                        href={article.url} 
+                        target="_blank" 
+                        rel="noopener noreferrer"
+                        className="btn btn-sm btn-outline-primary"
+                      >
+                        Read More
+                      </a>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
+  // Incident Map Component - articles plotted at their most specific place on the
+  // bundled basemap, coloured by category and sized by negative sentiment
+  const MapView = () => {
+    const timeline = (analytics && analytics.timelineData) || [];
+    const dayIndex = mapDayIndex === null || mapDayIndex >= timeline.length ? null : mapDayIndex;
+    const day = dayIndex === null ? null : timeline[dayIndex].date;
+    
+    const [west, south, east, north] = MAP_VIEWS[mapView].bounds;
+    const xScale = Math.cos(((north + south) / 2) * Math.PI / 180);
+    const scale = MAP_WIDTH / ((east - west) * xScale);
+    const height = Math.round((north - south) * scale);
+    const project = (lon, lat) => [(lon - west) * xScale * scale, (north - lat) * scale];
+    
+    const ringPath = (ring) => ring
+      .map(([lon, lat], i) => `${i ? 'L' : 'M'}${project(lon, lat).map(v => v.toFixed(1)).join(',')}`)
+      .join('') + 'Z';
+    const featurePath = (geometry) => {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      return polygons.map(polygon => polygon.map(ringPath).join('')).join('');
+    };
+    
+    // Same YYYY-MM-DD day key the timeline uses
+    const dayKey = (date) => {
+      const d = new Date(date);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    const dayArticles = news.filter(article => !day || dayKey(article.publishedAt) === day);
+    
+    // One marker per place
+    const markers = {};
+    let unplaced = 0;
+    dayArticles.forEach(article => {
+      const place = article.places && article.places[0];
+      if (!place) {
+        unplaced++;
+        return;
+      }
+      if (!markers[place.id]) markers[place.id] = { place, articles: [], negative: 0, categories: {} };
+      const marker = markers[place.id];
+      marker.articles.push(article);
+      marker.negative += Math.max(0, -article.sentiment);
+      marker.categories[article.category] = (marker.categories[article.category] || 0) + 1;
+    });
+    const markerList = Object.values(markers)
+      .map(marker => ({
+        ...marker,
+        category: Object.entries(marker.categories).sort((a, b) => b[1] - a[1])[0][0],
+        radius: 5 + Math.min(20, Math.sqrt(marker.negative) * 2.5)
+      }))
+      // Big markers first so small ones stay clickable on top
+      .sort((a, b) => b.radius - a.radius);
+    const selected = selectedPlaceId && markers[selectedPlaceId];
+    
+    const land = darkMode ? '#2b3035' : '#f1f3f5';
+    const focusLand = darkMode ? '#343a40' : '#e9ecef';
+    const borderColor = darkMode ? '#6c757d' : '#adb5bd';
+    
+    return (
+      <div>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <div className="btn-group btn-group-sm" role="group">
+            {Object.entries(MAP_VIEWS).map(([id, view]) => (
+              <button
+                key={id}
+                className={`btn ${mapView === id ? 'btn-primary' : 'btn-outline-primary'}`}
+                onClick={() => setMapView(id)}
+              >
+                {view.label}
+              </button>
+            ))}
+          </div>
+          <small className="text-muted">
+            {dayArticles.length - unplaced} of {dayArticles.length} articles mapped
+          </small>
+        </div>
+        
+        <div className="card border-0 shadow-sm mb-3">
+          <div className="card-body p-2">
+            {basemap ? (
+              <svg viewBox={`0 0 ${MAP_WIDTH} ${height}`} className="w-100" style={{ background: darkMode ? '#1a1d20' : '#dbe9f6' }}>
+                {basemap.features.map(feature => (
+                  <path
+                    key={feature.properties.iso}
+                    d={featurePath(feature.geometry)}
+                    fill={feature.properties.focus ? focusLand : land}
+                    stroke={borderColor}
+                    strokeWidth="0.8"
+                  >
+                    <title>{feature.properties.name}</title>
+                  </path>
+                ))}
+                {markerList.map(marker => {
+                  const [x, y] = project(marker.place.lon, marker.place.lat);
+                  return (
+                    <circle
+                      key={marker.place.id}
+                      cx={x}
+                      cy={y}
+                      r={marker.radius}
+                      fill={categoryColor(marker.category)}
+                      fillOpacity="0.7"
+                      stroke={selectedPlaceId === marker.place.id ? '#000' : '#fff'}
+                      strokeWidth={selectedPlaceId === marker.place.id ? 2 : 1}
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => setSelectedPlaceId(marker.place.id === selectedPlaceId ? null : marker.place.id)}
+                    >
+                      <title>{`${marker.place.name}: ${marker.articles.length} ${marker.articles.length === 1 ? 'article' : 'articles'}`}</title>
+                    </circle>
+                  );
+                })}
+              </svg>
+            ) : (
+              <div className="skeleton p-5"></div>
+            )}
+          </div>
+        </div>
+        
+        <div className="mb-3">
+          <label className="form-label d-flex justify-content-between">
+            <span>{day ? formatDay(day) : 'All days'}</span>
+            <small className="text-muted">
+              {day ? `${timeline[dayIndex].count} articles that day` : `${timeline.length} days`}
+            </small>
+          </label>
+          <input
+            type="range"
+            className="form-range"
+            min="0"
+            max={timeline.length}
+            value={dayIndex === null ? timeline.length : dayIndex}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              setMapDayIndex(value >= timeline.length ? null : value);
+            }}
+          />
+        </div>
+        
+        <div className="d-flex flex-wrap mb-3">
+          {[...(taxonomy ? taxonomy.categories.map(c => c.id) : []), 'other'].map(id => (
+            <small key={id} className="me-3">
+              <span className="d-inline-block rounded-circle me-1" style={{ width: 10, height: 10, background: categoryColor(id) }}></span>
+              {categoryLabel(id)}
+            </small>
+          ))}
+          <small className="text-muted ms-auto">Larger circles mean more negative coverage</small>
+        </div>
+        
+        {selected && (
+          <div className="card border-0 shadow-sm">
+            <div className="card-header bg-light">
+              <h6 className="mb-0">
+                <i className="bi bi-geo-alt me-1"></i>
+                {selected.place.name}
+              </h6>
+            </div>
+            <div className="list-group list-group-flush">
+              {selected.articles.map(article => (
+                <a
+                  key={article.id || article.url}
+                  href={article.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="list-group-item list-group-item-action"
+                >
+                  <div className="d-flex justify-content-between">
+                    <span>{article.title}</span>
+                    <span className={`category-badge category-${article.category} ms-2`}>
+                      {categoryLabel(article.category)}
+                    </span>
+                  </div>
+                  <small className="text-muted">{formatDate(article.publishedAt)}</small>
+                </a>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+  
+  // Situation Brief Component: the server-generated daily brief, with a link
+  // to its printable page
+  const SituationBrief = () => {
+    if (!situationBrief) return <div className="skeleton p-4"></div>;
+    
+    const { escalation, overview, summary, categories, quotes, date } = situationBrief;
+    const change = escalation.change > 0 ? `+${escalation.change}` : `${escalation.change}`;
+    
+    return (
+      <div className="card">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Daily Brief{date && ` · ${formatDay(date)}`}</h5>
+          {date && (
+            <a
+              href={`${API_BASE.replace(/\/api$/, '')}/brief/${date}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="btn btn-sm btn-outline-secondary"
+            >
+              <i className="bi bi-printer me-1"></i>
+              Printable brief
+            </a>
+          )}
+        </div>
+        <div className="card-body">
+          <p>
+            <span className={`badge ${getCrisisLevelClass(escalation.current.level)} me-2`}>
+              {escalation.current.level.toUpperCase()}
+            </span>
+            Escalation index {escalation.current.index}/100, {change} on the previous day
+            {escalation.levelChanged && ` (was ${escalation.previous.level})`}.
+            {' '}{overview.articles} articles on {overview.stories} stories from {overview.sources} outlets.
+          </p>
+          {summary.map((sentence, index) => (
+            <p key={index}>{sentence}</p>
+          ))}
+          
+          {categories.length > 0 && (
+            <>
+              <h6 className="mt-3">Key Developments</h6>
+              <ul className="list-unstyled">
+                {categories.map(category => (
+                  <li key={category.id} className="mb-2">
+                    <span className="badge me-2" style={{ backgroundColor: category.color }}>{category.label}</span>
+                    {category.developments.map(story => (
+                      <div key={story.id} className="small ms-2">
+                        <a href={story.url} target="_blank" rel="noopener noreferrer">{story.headline}</a>
+                        <span className="text-muted"> &middot; {story.sourceCount} outlets</span>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          
+          {quotes.length > 0 && (
+            <>
+              <h6 className="mt-3">Notable Quotes</h6>
+              {quotes.slice(0, 3).map((quote, index) => (
+                <blockquote key={index} className="blockquote-footer mb-2">
+                  <span className="text-body">{quote.direct ? `“${quote.text}”` : quote.text}</span>
+                  {' '}&mdash; {quote.speaker ? `${quote.speaker}, ` : ''}
+                  <a href={quote.url} target="_blank" rel="noopener noreferrer">{quote.source}</a>
+                </blockquote>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+  
+  // Event Log Component: extracted events, newest first, filterable by type
+  const EventLog = () => {
+    const events = analytics.events || [];
+    const eventTypes = [...new Map(events.map(event => [event.type, event])).values()];
+    const shown = events.filter(event => eventTypeFilter === 'all' || event.type === eventTypeFilter);
     
-    // Group articles by date
-    const groupedArticles = {};
-    articles.forEach(article => {
-      const date = new Date(article.publishedAt).toLocaleDateString();
-      
-      if (!groupedArticles[date]) {
-        groupedArticles[date] = [];
-      }
-      
-      groupedArticles[date].push(article);
-    });
+    const formatCasualties = ({ killed, injured }) => [
+      killed !== null && `${killed} killed`,
+      injured !== null && `${injured} injured`
+    ].filter(Boolean).join(', ');
     
     return (
-      <div className="timeline-container">
-        {Object.entries(groupedArticles).sort((a, b) => {
-          return new Date(b[0]) - new Date(a[0]);
-        }).map(([date, dateArticles]) => (
-          <div key={date} className="timeline-day mb-4">
-            <h3 className="timeline-date bg-light p-2 rounded">{date}</h3>
-            <div className="timeline-articles">
-              {dateArticles.map((article, i) => (
-                <div key={i} className="timeline-item">
-                  <div className="timeline-item-content p-3 mb-3 border-start border-4 border-primary">
-                    <span className={`timeline-dot ${getCategoryClass(article.category)}`}></span>
-                    <time>{new Date(article.publishedAt).toLocaleTimeString()}</time>
-                    <h5>{article.title}</h5>
-                    <p>{article.description}</p>
-                    <div className="d-flex justify-content-between align-items-center">
-                      <span className={`category-badge category-${article.category}`}>
-                        {article.category.charAt(0).toUpperCase() + article.category.slice(1)}
-                      </span>
-                      <a 
-                        href={article.url} 
-                        target="_blank" 
-                        rel="noopener noreferrer"
-                        className="btn btn-sm btn-outline-primary"
-                      >
-                        Read More
-                      </a>
-                    </div>
-                  </div>
-                </div>
+      <div>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h6 className="mb-0">Event Log</h6>
+          {eventTypes.length > 1 && (
+            <select
+              className="form-select form-select-sm w-auto"
+              value={eventTypeFilter}
+              onChange={(e) => setEventTypeFilter(e.target.value)}
+              aria-label="Filter events by type"
+            >
+              <option value="all">All event types</option>
+              {eventTypes.map(event => (
+                <option key={event.type} value={event.type}>{event.label}</option>
               ))}
-            </div>
+            </select>
+          )}
+        </div>
+        {shown.length > 0 ? (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Event</th>
+                  <th>Where</th>
+                  <th>Actors</th>
+                  <th>Casualties</th>
+                  <th className="text-end">Reports</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.slice(0, 15).map(event => (
+                  <tr key={event.id}>
+                    <td className="text-nowrap small">{formatDate(event.date)}</td>
+                    <td>
+                      <span className="badge me-2" style={{ backgroundColor: event.color }}>{event.label}</span>
+                      <a href={event.url} target="_blank" rel="noopener noreferrer">{event.title}</a>
+                    </td>
+                    <td className="small">{event.location ? event.location.name : '—'}</td>
+                    <td className="small">{event.actors.slice(0, 4).map(actor => actor.name).join(', ') || '—'}</td>
+                    <td className="small">{formatCasualties(event.casualties) || '—'}</td>
+                    <td className="text-end small" title={event.reports.map(report => report.source).join(', ')}>
+                      {event.reportCount} / {event.sourceCount} outlets
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
-        ))}
+        ) : (
+          <p className="text-muted">No events extracted from recent coverage.</p>
+        )}
       </div>
     );
   };
@@ -649,23 +1962,7 @@ function App() {
             </div>
           </div>
           
-          <h6 className="mb-3">Significant Events</h6>
-          {analytics.significantEvents && analytics.significantEvents.length > 0 ? (
-            <ul className="list-group">
-              {analytics.significantEvents.slice(0, 3).map((event, index) => (
-                <li key={index} className="list-group-item">
-                  <div className="d-flex justify-content-between align-items-center">
-                    <span>{event.title}</span>
-                    <span className={`badge ${getCategoryClass(event.category)}`}>
-                      {event.category}
-                    </span>
-                  </div>
-                </li>
-              ))}
-            </ul>
-          ) : (
-            <p className="text-muted">No significant events detected at this time.</p>
-          )}
+          <EventLog />
         </div>
       </div>
     );
@@ -730,11 +2027,20 @@ function App() {
             </button>
             
             <button
-              className="btn btn-outline-light"
+              className="btn btn-outline-light me-3"
               onClick={() => setDarkMode(!darkMode)}
             >
               <i className={`bi bi-${darkMode ? 'sun' : 'moon'}`}></i>
             </button>
+            
+            <span className="text-white small me-2" title={user.name || undefined}>
+              <i className="bi bi-person-circle me-1"></i>
+              {user.email}
+            </span>
+            <span className="badge bg-light text-primary me-2">{user.role}</span>
+            <button className="btn btn-outline-light" onClick={onLogout} title="Sign out">
+              <i className="bi bi-box-arrow-right"></i>
+            </button>
           </div>
         </div>
       </nav>
@@ -771,6 +2077,26 @@ function App() {
               Situation Updates
             </a>
           </li>
+          <li className="nav-item">
+            <a 
+              className={`nav-link ${activeTab === 'map' ? 'active' : ''}`}
+              onClick={() => setActiveTab('map')}
+              href="#map"
+            >
+              <i className="bi bi-geo-alt me-1"></i>
+              Map
+            </a>
+          </li>
+          <li className="nav-item">
+            <a 
+              className={`nav-link ${activeTab === 'alerts' ? 'active' : ''}`}
+              onClick={() => setActiveTab('alerts')}
+              href="#alerts"
+            >
+              <i className="bi bi-bell me-1"></i>
+              Alerts
+            </a>
+          </li>
           <li className="nav-item">
             <a 
               className={`nav-link ${activeTab === 'bookmarks' ? 'active' : ''}`}
@@ -784,6 +2110,12 @@ function App() {
           <li className="nav-item ms-auto">
             <div className="nav-link text-muted">
               <small>
+                <span
+                  className={`badge me-2 ${liveStatus === 'live' ? 'bg-success' : 'bg-secondary'}`}
+                  title={liveStatus === 'live' ? 'New articles appear as they are ingested' : 'Live updates unavailable, reconnecting'}
+                >
+                  {liveStatus === 'live' ? 'Live' : liveStatus === 'offline' ? 'Offline' : 'Connecting'}
+                </span>
                 Last updated: {lastUpdated ? formatDate(lastUpdated) : 'Never'}
               </small>
             </div>
@@ -862,6 +2194,224 @@ function App() {
                 </div>
               </div>
             </div>
+            
+            {analytics && analytics.topEntities && analytics.topEntities.length > 0 && (
+              <div className="row mt-4">
+                <div className="col-12">
+                  <div className="card border-0 shadow-sm">
+                    <div className="card-header bg-light">
+                      <h5 className="mb-0">
+                        <i className="bi bi-people me-2"></i>
+                        Key Actors
+                      </h5>
+                    </div>
+                    <div className="card-body">
+                      <table className="table table-sm table-hover mb-0">
+                        <thead>
+                          <tr>
+                            <th>Entity</th>
+                            <th>Type</th>
+                            <th>Articles</th>
+                            <th>Stories</th>
+                            <th>Avg. sentiment</th>
+                            <th>Most often with</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {analytics.topEntities.slice(0, 10).map(entity => {
+                            const sentiment = (analytics.entitySentiment || []).find(s => s.id === entity.id);
+                            const partner = (analytics.entityCoMentions || []).find(pair =>
+                              pair.source === entity.id || pair.target === entity.id);
+                            return (
+                              <tr key={entity.id} role="button" onClick={() => filterByEntity(entity.id)}>
+                                <td>{entity.name}</td>
+                                <td>
+                                  <small style={{ color: entityTypeColor(entity.type) }}>
+                                    {entityTypeLabel(entity.type)}
+                                  </small>
+                                </td>
+                                <td>{entity.articles}</td>
+                                <td>{entity.stories}</td>
+                                <td className={sentiment && sentiment.averageSentiment < 0 ? 'text-danger' : 'text-success'}>
+                                  {sentiment ? sentiment.averageSentiment : '-'}
+                                </td>
+                                <td>
+                                  {partner
+                                    ? `${partner.source === entity.id ? partner.targetName : partner.sourceName} (${partner.count})`
+                                    : '-'}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+            
+            {analytics && analytics.perspectives && (
+              <div className="row mt-4">
+                <div className="col-12">
+                  <div className="card border-0 shadow-sm">
+                    <div className="card-header bg-light">
+                      <h5 className="mb-0">
+                        <i className="bi bi-globe2 me-2"></i>
+                        Media Perspectives
+                      </h5>
+                    </div>
+                    <div className="card-body">
+                      <div className="row">
+                        {analytics.perspectives.perspectives
+                          .filter(perspective => analytics.perspectives.summary[perspective.id].articles > 0)
+                          .map(perspective => {
+                            const summary = analytics.perspectives.summary[perspective.id];
+                            const percent = (count) => `${Math.round((count / summary.articles) * 100)}%`;
+                            const topCategories = Object.entries(summary.categories)
+                              .filter(([, count]) => count > 0)
+                              .sort((a, b) => b[1] - a[1])
+                              .slice(0, 3);
+                            return (
+                              <div key={perspective.id} className="col-md mb-3">
+                                <div className="h-100 p-3 rounded border-top border-4" style={{ borderColor: perspective.color }}>
+                                  <h6>{perspective.label}</h6>
+                                  <p className="small text-muted mb-2" title={summary.outlets.join(', ')}>
+                                    {summary.articles} articles on {summary.stories} stories from {summary.outlets.length} outlets
+                                  </p>
+                                  <p className="mb-1">
+                                    Avg. sentiment{' '}
+                                    <strong className={summary.averageSentiment < 0 ? 'text-danger' : 'text-success'}>
+                                      {summary.averageSentiment}
+                                    </strong>
+                                  </p>
+                                  <div className="progress mb-2" style={{ height: '8px' }}>
+                                    <div className="progress-bar bg-success" style={{ width: percent(summary.sentimentCounts.positive) }} title="Positive"></div>
+                                    <div className="progress-bar bg-secondary" style={{ width: percent(summary.sentimentCounts.neutral) }} title="Neutral"></div>
+                                    <div className="progress-bar bg-danger" style={{ width: percent(summary.sentimentCounts.negative) }} title="Negative"></div>
+                                  </div>
+                                  {topCategories.map(([id, count]) => (
+                                    <span key={id} className={`category-badge category-${id} me-1`}>
+                                      {categoryLabel(id)} {percent(count)}
+                                    </span>
+                                  ))}
+                                </div>
+                              </div>
+                            );
+                          })}
+                      </div>
+                      
+                      <canvas id="perspectiveChart" className="mb-4"></canvas>
+                      
+                      {analytics.perspectives.sharedStories.length > 0 && (
+                        <div>
+                          <h6>Same incident, different framing</h6>
+                          <div className="table-responsive">
+                            <table className="table table-sm align-top mb-0">
+                              <thead>
+                                <tr>
+                                  {analytics.perspectives.perspectives
+                                    .filter(perspective => perspective.id !== 'unknown')
+                                    .map(perspective => (
+                                      <th key={perspective.id} style={{ color: perspective.color }}>{perspective.label}</th>
+                                    ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {analytics.perspectives.sharedStories.map(story => (
+                                  <tr key={story.storyId}>
+                                    {analytics.perspectives.perspectives
+                                      .filter(perspective => perspective.id !== 'unknown')
+                                      .map(perspective => {
+                                        const framing = story.perspectives[perspective.id];
+                                        return (
+                                          <td key={perspective.id} className="small">
+                                            {framing ? (
+                                              <div>
+                                                <a href={framing.url} target="_blank" rel="noopener noreferrer">
+                                                  {framing.headline}
+                                                </a>
+                                                <div className="text-muted">
+                                                  {framing.outlets.join(', ')}{' '}
+                                                  <span className={`badge ${framing.averageSentiment < 0 ? 'bg-danger' : framing.averageSentiment > 0 ? 'bg-success' : 'bg-secondary'}`}>
+                                                    {framing.averageSentiment}
+                                                  </span>
+                                                </div>
+                                              </div>
+                                            ) : (
+                                              <span className="text-muted">Not covered</span>
+                                            )}
+                                          </td>
+                                        );
+                                      })}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+            
+            {classifierStatus && (
+              <div className="row mt-4">
+                <div className="col-12">
+                  <div className="card border-0 shadow-sm">
+                    <div className="card-header bg-light d-flex justify-content-between align-items-center">
+                      <h5 className="mb-0">
+                        <i className="bi bi-cpu me-2"></i>
+                        Classifier
+                      </h5>
+                      <div className="btn-group btn-group-sm" role="group">
+                        {['rules', 'model'].map(mode => (
+                          <button
+                            key={mode}
+                            className={`btn ${classifierStatus.mode === mode ? 'btn-primary' : 'btn-outline-primary'}`}
+                            onClick={() => setClassifierMode(mode)}
+                            disabled={!canLabel}
+                            title={canLabel ? undefined : 'Requires the analyst role'}
+                          >
+                            {mode === 'rules' ? 'Keyword rules' : 'Trained model'}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="card-body">
+                      <p className="mb-2">
+                        {classifierStatus.labelCount} analyst labels.
+                        {classifierStatus.labelCount < classifierStatus.minLabels &&
+                          ` The model needs at least ${classifierStatus.minLabels} to train.`}
+                      </p>
+                      <table className="table table-sm mb-0">
+                        <thead>
+                          <tr>
+                            <th>Accuracy vs. analyst labels</th>
+                            <th>Category</th>
+                            <th>Priority</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          <tr>
+                            <td>Keyword rules</td>
+                            <td>{formatAccuracy(classifierStatus.accuracy.rules.category)}</td>
+                            <td>{formatAccuracy(classifierStatus.accuracy.rules.priority)}</td>
+                          </tr>
+                          <tr>
+                            <td>Trained model (cross-validated)</td>
+                            <td>{formatAccuracy(classifierStatus.accuracy.model.category)}</td>
+                            <td>{formatAccuracy(classifierStatus.accuracy.model.priority)}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
         )}
         
@@ -870,26 +2420,76 @@ function App() {
           <div className="news-tab">
             <div className="row mb-4">
               <div className="col-md-8">
-                <div className="btn-group" role="group">
-                  {['all', 'military', 'diplomatic', 'economic', 'social'].map(filter => (
+                <div className="btn-group flex-wrap" role="group">
+                  {filterOptions.map(filter => (
                     <button
                       key={filter}
                       className={`btn ${activeFilter === filter ? 'btn-primary' : 'btn-outline-primary'}`}
                       onClick={() => setActiveFilter(filter)}
                     >
-                      {filter.charAt(0).toUpperCase() + filter.slice(1)}
+                      {filter === 'all' ? 'All' : categoryLabel(filter)}
+                      {filter !== 'all' && feed && feed.facets && (
+                        <span className="badge bg-light text-dark ms-1">{feed.facets.category[filter] || 0}</span>
+                      )}
                     </button>
                   ))}
                 </div>
               </div>
               <div className="col-md-4 d-flex">
+                <select
+                  className="form-select me-2"
+                  value={activeEntity}
+                  onChange={(e) => setActiveEntity(e.target.value)}
+                  title="Filter by person, organization or place"
+                >
+                  <option value="all">All entities</option>
+                  {activeEntity !== 'all' && !entityCounts[activeEntity] && (
+                    <option value={activeEntity}>{activeEntity}</option>
+                  )}
+                  {Object.entries(entityOptions).map(([type, options]) => (
+                    <optgroup key={type} label={entityTypeLabel(type)}>
+                      {options.map(entity => (
+                        <option key={entity.id} value={entity.id}>
+                          {entity.name} ({entity.count})
+                        </option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+                <select
+                  className="form-select me-2"
+                  value={sentimentFilter}
+                  onChange={(e) => setSentimentFilter(e.target.value)}
+                  title="Filter by sentiment"
+                >
+                  {['all', 'negative', 'neutral', 'positive'].map(sentiment => (
+                    <option key={sentiment} value={sentiment}>
+                      {sentiment === 'all' ? 'Any sentiment' : sentiment.charAt(0).toUpperCase() + sentiment.slice(1)}
+                      {sentiment !== 'all' && feed && feed.facets ? ` (${feed.facets.sentiment[sentiment] || 0})` : ''}
+                    </option>
+                  ))}
+                </select>
                 <input
-                  type="text"
+                  type="search"
                   className="form-control me-2"
-                  placeholder="Search news..."
+                  placeholder='Search news, "exact phrase"...'
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                 />
+                <button 
+                  className={`btn ${groupByStory ? 'btn-secondary' : 'btn-outline-secondary'} me-2`}
+                  onClick={() => setGroupByStory(!groupByStory)}
+                  title={groupByStory ? "Show every report" : "Group reports by story"}
+                >
+                  <i className="bi bi-layers"></i>
+                </button>
+                <button 
+                  className={`btn ${showOffTopic ? 'btn-outline-secondary' : 'btn-secondary'} me-2`}
+                  onClick={() => setShowOffTopic(!showOffTopic)}
+                  title={showOffTopic ? "Hide sports and off-topic articles" : "Show sports and off-topic articles"}
+                >
+                  <i className="bi bi-funnel"></i>
+                </button>
                 <button 
                   className="btn btn-outline-secondary"
                   onClick={() => setTimelineView(!timelineView)}
@@ -900,25 +2500,48 @@ function App() {
               </div>
             </div>
             
+            {feed && (
+              <p className="small text-muted">
+                {feed.error
+                  ? feed.error
+                  : `${feed.total} ${feed.total === 1 ? 'article' : 'articles'}${debouncedSearch ? ` matching "${debouncedSearch}"` : ''}`}
+              </p>
+            )}
+            
             {timelineView ? (
-              <TimelineView articles={sortedNews} />
+              <TimelineView articles={feedNews} />
             ) : (
               <div className="row">
-                {sortedNews.length ? (
-                  sortedNews.map((article, index) => (
+                {feedNews.length ? (
+                  feedNews.map((article, index) => (
                     <div key={index} className="col-md-6 col-lg-4 mb-4">
-                      <NewsCard article={article} />
+                      <NewsCard
+                        article={article}
+                        story={groupByStory ? clustersById[article.clusterId] : null}
+                      />
                     </div>
                   ))
                 ) : (
                   <div className="col-12">
                     <div className="alert alert-info">
-                      No news found matching your filters.
+                      {feedLoading ? 'Loading articles...' : 'No news found matching your filters.'}
                     </div>
                   </div>
                 )}
               </div>
             )}
+            
+            {feed && feed.nextCursor && (
+              <div className="text-center mb-4">
+                <button
+                  className="btn btn-outline-primary"
+                  onClick={() => fetchFeed(feed.nextCursor)}
+                  disabled={feedLoading}
+                >
+                  {feedLoading ? 'Loading...' : `Load more (${feed.total - feedArticles.length} left)`}
+                </button>
+              </div>
+            )}
           </div>
         )}
         
@@ -929,21 +2552,19 @@ function App() {
               <div className="col-md-12">
                 <div className="card border-0 shadow">
                   <div className="card-body">
-                    <h4 className="card-title mb-3">
-                      India-Pakistan Current Situation
-                      {analytics && analytics.crisisLevel !== 'normal' && (
-                        <span className={`badge ms-2 ${getCrisisLevelClass(analytics.crisisLevel)}`}>
-                          {analytics.crisisLevel.toUpperCase()} ALERT
-                        </span>
-                      )}
-                    </h4>
+                    <div className="d-flex flex-wrap justify-content-between align-items-center mb-3">
+                      <h4 className="card-title mb-0">India-Pakistan Current Situation</h4>
+                      {renderCrisisLevelBadge()}
+                    </div>
+                    
+                    <EscalationBreakdown />
                     
                     <div className="alert alert-info mb-4">
                       <h5 className="alert-heading">
                         <i className="bi bi-info-circle-fill me-2"></i>
                         About This Dashboard
                       </h5>
-                      <p>This dashboard provides real-time monitoring of India-Pakistan relations through news analysis. The situation level is determined by algorithmic analysis of recent news sentiment and content.</p>
+                      <p>This dashboard provides real-time monitoring of India-Pakistan relations through news analysis. The situation level comes from an escalation index (0-100) that weighs coverage volume, negative sentiment, priority keywords and how many outlets report the same tension; the breakdown shows what moved it.</p>
                     </div>
                     
                     <SituationSummary />
@@ -979,6 +2600,29 @@ function App() {
                       ))}
                     </div>
                     
+                    <div className="d-flex justify-content-between align-items-center mt-4 mb-3">
+                      <h5 className="mb-0">Escalation History</h5>
+                      <div className="btn-group btn-group-sm" role="group" aria-label="History granularity">
+                        {['day', 'week'].map(granularity => (
+                          <button
+                            key={granularity}
+                            type="button"
+                            className={`btn ${historyGranularity === granularity ? 'btn-primary' : 'btn-outline-primary'}`}
+                            onClick={() => setHistoryGranularity(granularity)}
+                          >
+                            By {granularity}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {analyticsHistory && analyticsHistory.series.length > 0 ? (
+                      <div className="chart-container mb-4">
+                        <canvas id="escalationHistoryChart"></canvas>
+                      </div>
+                    ) : (
+                      <p className="text-muted">No history yet. Snapshots are kept as the analytics are refreshed.</p>
+                    )}
+                    
                     <h5 className="mt-4 mb-3">Timeline of Events</h5>
                     <div className="timeline-container">
                       {analytics && analytics.timelineData && (
@@ -989,31 +2633,41 @@ function App() {
                     </div>
                     
                     <div className="mt-4">
-                      <h5 className="mb-3">Analysis & Predictions</h5>
-                      <div className="card">
-                        <div className="card-body">
-                          <h6>Sentiment Trend</h6>
-                          <p>The current news cycle shows a {
-                            analytics && analytics.sentimentCounts ? 
-                            (analytics.sentimentCounts.negative > analytics.sentimentCounts.positive ? 
-                              'predominantly negative' : 'balanced to positive') : 'loading...'
-                          } sentiment regarding India-Pakistan relations.</p>
-                          
-                          <h6>Category Focus</h6>
-                          <p>Current reporting is focused primarily on {
-                            analytics && analytics.categories ? 
-                            Object.entries(analytics.categories)
-                              .sort((a, b) => b[1] - a[1])[0][0] : 'loading...'
-                          } aspects of the relationship.</p>
-                          
-                          <h6>Keywords Analysis</h6>
-                          <p>Frequently mentioned terms suggest attention on {
-                            analytics && analytics.trendingKeywords ? 
-                            analytics.trendingKeywords.slice(0, 3).map(k => k.word).join(', ') : 'loading...'
-                          }.</p>
-                        </div>
-                      </div>
+                      <SituationBrief />
                     </div>
+                    
+                    <h5 className="mt-4 mb-2">Email Digest</h5>
+                    <p className="text-muted small">
+                      The crisis level, priority articles and significant events, by email once a day or once a week.
+                      Every digest has an unsubscribe link.
+                    </p>
+                    <form className="d-flex flex-wrap gap-2" onSubmit={subscribeToDigest}>
+                      <input
+                        type="email"
+                        className="form-control"
+                        style={{maxWidth: '320px'}}
+                        placeholder="you@example.com"
+                        value={digestEmail}
+                        onChange={(e) => setDigestEmail(e.target.value)}
+                        required
+                      />
+                      <select
+                        className="form-select"
+                        style={{maxWidth: '140px'}}
+                        value={digestFrequency}
+                        onChange={(e) => setDigestFrequency(e.target.value)}
+                      >
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                      </select>
+                      <button type="submit" className="btn btn-outline-primary">
+                        <i className="bi bi-envelope me-1"></i>
+                        Subscribe
+                      </button>
+                    </form>
+                    {digestMessage && (
+                      <div className={`alert alert-${digestMessage.type} py-2 mt-2 mb-0`}>{digestMessage.text}</div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1021,7 +2675,213 @@ function App() {
           </div>
         )}
         
+        {/* Map Tab */}
+        {activeTab === 'map' && (
+          <div className="map-tab">
+            <MapView />
+          </div>
+        )}
+        
         {/* Bookmarks Tab */}
+        {activeTab === 'alerts' && (
+          <div className="alerts-tab">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h4>Your Alert Rules</h4>
+              {!ruleDraft && (
+                <button
+                  className="btn btn-sm btn-primary"
+                  onClick={() => {
+                    setRuleErrors([]);
+                    setRuleDraft(EMPTY_RULE);
+                  }}
+                >
+                  <i className="bi bi-plus-lg me-1"></i>
+                  New Rule
+                </button>
+              )}
+            </div>
+            <p className="text-muted small">
+              Rules are checked against every newly ingested article. A match raises a
+              notification here and is kept in the list below.
+            </p>
+            
+            {ruleDraft && (
+              <div className="card mb-4">
+                <div className="card-body">
+                  <h5 className="card-title">{ruleDraft.id ? 'Edit Rule' : 'New Rule'}</h5>
+                  {ruleErrors.length > 0 && (
+                    <div className="alert alert-danger py-2">
+                      {ruleErrors.map(message => <div key={message}>{message}</div>)}
+                    </div>
+                  )}
+                  <div className="row g-3">
+                    <div className="col-md-6">
+                      <label className="form-label">Name</label>
+                      <input
+                        className="form-control"
+                        value={ruleDraft.name}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, name: e.target.value })}
+                        placeholder="Indus Waters"
+                      />
+                    </div>
+                    <div className="col-md-6">
+                      <label className="form-label">Sources</label>
+                      <input
+                        className="form-control"
+                        value={ruleDraft.sources}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, sources: e.target.value })}
+                        placeholder="Any source (or e.g. dawn, reuters)"
+                      />
+                    </div>
+                    <div className="col-md-9">
+                      <label className="form-label">Keywords and phrases</label>
+                      <input
+                        className="form-control"
+                        value={ruleDraft.keywords}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, keywords: e.target.value })}
+                        placeholder="indus waters treaty, airspace clos*, asim munir"
+                      />
+                      <div className="form-text">Comma-separated; a trailing * matches any ending</div>
+                    </div>
+                    <div className="col-md-3">
+                      <label className="form-label">Match</label>
+                      <select
+                        className="form-select"
+                        value={ruleDraft.keywordMode}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, keywordMode: e.target.value })}
+                      >
+                        <option value="any">Any keyword</option>
+                        <option value="all">All keywords</option>
+                      </select>
+                    </div>
+                    <div className="col-12">
+                      <label className="form-label d-block">Categories</label>
+                      {filterOptions.filter(id => id !== 'all').map(id => (
+                        <div key={id} className="form-check form-check-inline">
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            id={`rule-category-${id}`}
+                            checked={ruleDraft.categories.includes(id)}
+                            onChange={(e) => setRuleDraft({
+                              ...ruleDraft,
+                              categories: e.target.checked
+                                ? [...ruleDraft.categories, id]
+                                : ruleDraft.categories.filter(c => c !== id)
+                            })}
+                          />
+                          <label className="form-check-label" htmlFor={`rule-category-${id}`}>{categoryLabel(id)}</label>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="col-md-3">
+                      <label className="form-label">Sentiment at least</label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        value={ruleDraft.sentimentMin}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, sentimentMin: e.target.value })}
+                        placeholder="Any"
+                      />
+                    </div>
+                    <div className="col-md-3">
+                      <label className="form-label">Sentiment at most</label>
+                      <input
+                        type="number"
+                        className="form-control"
+                        value={ruleDraft.sentimentMax}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, sentimentMax: e.target.value })}
+                        placeholder="Any, e.g. -3"
+                      />
+                    </div>
+                    <div className="col-md-3">
+                      <label className="form-label">Minimum articles</label>
+                      <input
+                        type="number"
+                        min="1"
+                        className="form-control"
+                        value={ruleDraft.minCount}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, minCount: e.target.value })}
+                      />
+                    </div>
+                    <div className="col-md-3">
+                      <label className="form-label">Within hours</label>
+                      <input
+                        type="number"
+                        min="1"
+                        className="form-control"
+                        value={ruleDraft.windowHours}
+                        onChange={(e) => setRuleDraft({ ...ruleDraft, windowHours: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <div className="mt-3">
+                    <button className="btn btn-primary me-2" onClick={saveAlertRule}>Save</button>
+                    <button className="btn btn-outline-secondary" onClick={() => setRuleDraft(null)}>Cancel</button>
+                  </div>
+                </div>
+              </div>
+            )}
+            
+            {alertRules && alertRules.length > 0 ? (
+              <ul className="list-group mb-4">
+                {alertRules.map(rule => (
+                  <li key={rule.id} className="list-group-item d-flex align-items-center">
+                    <div className="form-check form-switch me-3" title={rule.enabled ? 'Turn off' : 'Turn on'}>
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={() => toggleAlertRule(rule)}
+                      />
+                    </div>
+                    <div className="flex-grow-1">
+                      <div className={rule.enabled ? 'fw-semibold' : 'fw-semibold text-muted'}>{rule.name}</div>
+                      <small className="text-muted">{describeAlertRule(rule)}</small>
+                    </div>
+                    <button className="btn btn-sm btn-outline-secondary me-2" onClick={() => editAlertRule(rule)} title="Edit">
+                      <i className="bi bi-pencil"></i>
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" onClick={() => deleteAlertRule(rule)} title="Delete">
+                      <i className="bi bi-trash"></i>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="alert alert-info">
+                <i className="bi bi-bell me-2"></i>
+                {alertRules ? 'No alert rules yet. Add one to be notified about the stories you track.' : 'Loading alert rules...'}
+              </div>
+            )}
+            
+            <h5>Recent Matches</h5>
+            {alertMatches.length > 0 ? (
+              <ul className="list-group">
+                {alertMatches.map(match => (
+                  <li key={match.id} className="list-group-item">
+                    <div className="d-flex justify-content-between">
+                      <span className="fw-semibold">{match.ruleName}</span>
+                      <small className="text-muted">{formatDate(match.firedAt)}</small>
+                    </div>
+                    {match.count > 1 && (
+                      <small className="text-muted d-block">{match.count} articles within {match.windowHours}h</small>
+                    )}
+                    {match.articles.map(article => (
+                      <div key={article.id} className="small">
+                        <a href={article.url} target="_blank" rel="noopener noreferrer">{article.title}</a>
+                        {article.source && <span className="text-muted"> - {article.source}</span>}
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-muted">No matches yet.</p>
+            )}
+          </div>
+        )}
+        
         {activeTab === 'bookmarks' && (
           <div className="bookmarks-tab">
             <div className="d-flex justify-content-between align-items-center mb-4">
@@ -1073,5 +2933,167 @@ function App() {
   );
 }
 
+// Sign-in and registration form. Firebase sign-in shows when the server accepts
+// it and the page has loaded and initialized the Firebase web SDK.
+function LoginScreen({ onSignedIn }) {
+  const [providers, setProviders] = useState(null);
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [busy, setBusy] = useState(false);
+  
+  useEffect(() => {
+    fetch(`${API_BASE}/auth/providers`)
+      .then(response => response.json())
+      .then(setProviders)
+      .catch(() => setErrors(['Could not reach the server']));
+  }, []);
+  
+  const submit = async (path, body) => {
+    setBusy(true);
+    setErrors([]);
+    try {
+      const response = await fetch(`${API_BASE}/auth/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErrors(data.details || [data.error || 'Sign-in failed']);
+        return;
+      }
+      onSignedIn(data);
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  const signInWithFirebase = async () => {
+    try {
+      const result = await window.firebase.auth().signInWithPopup(new window.firebase.auth.GoogleAuthProvider());
+      submit('firebase', { idToken: await result.user.getIdToken() });
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+  
+  const registering = mode === 'register';
+  const firebaseReady = providers && providers.firebase && window.firebase && window.firebase.apps.length > 0;
+  
+  return (
+    <div className="container" style={{maxWidth: '420px', marginTop: '12vh'}}>
+      <h4 className="text-center mb-4">
+        <i className="bi bi-globe me-2"></i>
+        India-Pakistan News Analytics
+      </h4>
+      <div className="card shadow-sm">
+        <div className="card-body">
+          <h5 className="card-title mb-3">{registering ? 'Create an account' : 'Sign in'}</h5>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submit(registering ? 'register' : 'login', registering ? { email, password, name } : { email, password });
+            }}
+          >
+            {registering && (
+              <input
+                className="form-control mb-2"
+                placeholder="Name (optional)"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            )}
+            <input
+              type="email"
+              className="form-control mb-2"
+              placeholder="Email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+            <input
+              type="password"
+              className="form-control mb-3"
+              placeholder="Password"
+              autoComplete={registering ? 'new-password' : 'current-password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            {errors.length > 0 && (
+              <div className="alert alert-danger py-2 small">
+                {errors.map(error => <div key={error}>{error}</div>)}
+              </div>
+            )}
+            <button type="submit" className="btn btn-primary w-100" disabled={busy}>
+              {registering ? 'Create account' : 'Sign in'}
+            </button>
+          </form>
+          
+          {firebaseReady && (
+            <button className="btn btn-outline-secondary w-100 mt-2" onClick={signInWithFirebase} disabled={busy}>
+              <i className="bi bi-google me-1"></i>
+              Sign in with Google
+            </button>
+          )}
+          
+          {providers && (providers.registration || registering) && (
+            <p className="text-center small mt-3 mb-0">
+              <a
+                href="#"
+                onClick={(e) => {
+                  e.preventDefault();
+                  setMode(registering ? 'login' : 'register');
+                  setErrors([]);
+                }}
+              >
+                {registering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+              </a>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Shows the login screen until there is a session, then the dashboard
+function App() {
+  const [user, setUser] = useState(authSession && authSession.user);
+  
+  useEffect(() => {
+    onSignedIn = setUser;
+    onSignedOut = () => setUser(null);
+  }, []);
+  
+  const signIn = (session) => {
+    setAuthSession(session);
+    setUser(session.user);
+  };
+  
+  const logout = async () => {
+    const refreshToken = authSession && authSession.refreshToken;
+    setAuthSession(null);
+    setUser(null);
+    try {
+      await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (err) {
+      console.error('Failed to end session', err);
+    }
+  };
+  
+  return user ? <Dashboard key={user.id} user={user} onLogout={logout} /> : <LoginScreen onSignedIn={signIn} />;
+}
+
 // Render the React application
 ReactDOM.render(<App />, document.getElementById('root'));
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Checks refresh token rotation against a throwaway data directory: two clients
+// (tabs) refreshing the same session at once, the grace period running out, and
+// signing out with a retired token. Needs no network.
+//
+//   npm test
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'check-auth-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.JWT_SECRET = 'check-auth-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.REFRESH_GRACE_SECONDS = '1';
+
+const jwt = require('jsonwebtoken');
+const auth = require('../lib/auth');
+
+const sessionOf = tokens => jwt.decode(tokens.refreshToken).jti;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function rejects(promise, message) {
+  await assert.rejects(promise, err => err instanceof auth.AuthError && err.status === 401, message);
+}
+
+const CHECKS = [
+  ['two clients refreshing at once both get the new session', async () => {
+    const user = await auth.register({ email: 'tabs@example.com', password: 'password123' });
+    const signedIn = await auth.issueTokens(user);
+    const [first, second] = await Promise.all([
+      auth.refresh(signedIn.refreshToken),
+      auth.refresh(signedIn.refreshToken)
+    ]);
+    assert.notStrictEqual(sessionOf(first), sessionOf(signedIn), 'refresh kept the old session');
+    assert.strictEqual(sessionOf(second), sessionOf(first), 'the clients ended up in different sessions');
+    const next = await auth.refresh(second.refreshToken);
+    assert.notStrictEqual(sessionOf(next), sessionOf(first), 'the new session did not rotate');
+  }],
+  ['a retired refresh token stops working after the grace period', async () => {
+    const user = await auth.register({ email: 'grace@example.com', password: 'password123' });
+    const signedIn = await auth.issueTokens(user);
+    const refreshed = await auth.refresh(signedIn.refreshToken);
+    await wait(1100);
+    await rejects(auth.refresh(signedIn.refreshToken), 'the retired token still worked');
+    await auth.refresh(refreshed.refreshToken);
+  }],
+  ['signing out with a retired token ends the session it was traded for', async () => {
+    const user = await auth.register({ email: 'logout@example.com', password: 'password123' });
+    const signedIn = await auth.issueTokens(user);
+    const refreshed = await auth.refresh(signedIn.refreshToken);
+    await auth.logout(signedIn.refreshToken);
+    await rejects(auth.refresh(refreshed.refreshToken), 'the new session survived signing out');
+  }]
+];
+
+async function main() {
+  let failures = 0;
+  for (const [label, check] of CHECKS) {
+    try {
+      await check();
+      console.log(`ok    ${label}`);
+    } catch (err) {
+      failures++;
+      console.log(`FAIL  ${label}: ${err.message.split('\n')[0]}`);
+    }
+  }
+  // Let the last store write finish before removing its directory
+  await wait(100);
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+
+  if (failures) {
+    console.log(`${failures} of ${CHECKS.length} auth checks failed`);
+    process.exit(1);
+  }
+}
+
+main();
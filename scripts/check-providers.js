@@ -0,0 +1,150 @@
+// Runs each provider adapter's parse() over the saved payloads in
+// fixtures/providers/ and checks the articles it maps them to, then runs the
+// replay corpus in fixtures/replay/ through the adapters and processArticle.
+// Needs no network.
+//
+//   npm test
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { getAdapter } = require('../lib/providers');
+const { processArticle } = require('../lib/processing');
+const taxonomy = require('../lib/taxonomy');
+const sources = require('../lib/sources');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'providers');
+const REPLAY_DIR = path.join(__dirname, '..', 'fixtures', 'replay');
+
+// Per fixture: the adapter and job to parse it with, and what should come out.
+// first lists fields of the first article.
+const CASES = [
+  {
+    fixture: 'gnews-search.json',
+    provider: 'gnews',
+    count: 3,
+    first: {
+      title: 'Army says Pakistan violated ceasefire along LoC in Poonch sector',
+      url: 'https://www.thehindu.com/news/national/army-says-pakistan-violated-ceasefire-along-loc-in-poonch/article1001.ece',
+      publishedAt: '2025-05-06T18:42:00Z',
+      source: { name: 'The Hindu', url: 'https://www.thehindu.com' }
+    }
+  },
+  {
+    fixture: 'newsapi-everything.json',
+    provider: 'newsapi',
+    // The "[Removed]" placeholder is dropped
+    count: 2,
+    first: {
+      title: 'Pakistan closes airspace to Indian airlines after Pahalgam attack',
+      urlToImage: 'https://www.aljazeera.com/wp-content/uploads/2025/04/airspace.jpg',
+      publishedAt: '2025-04-24T13:10:00Z',
+      source: { name: 'Al Jazeera English', url: null }
+    }
+  },
+  {
+    fixture: 'rss-dawn.xml',
+    provider: 'rss',
+    job: { feed: { name: 'Dawn' } },
+    // The newsletter item has no date and is dropped
+    count: 2,
+    first: {
+      title: 'FO rejects Indian claims of cross-border infiltration in Kashmir',
+      description: 'The Foreign Office on Monday termed the Indian allegations “baseless” and urged New Delhi to engage in dialogue.',
+      urlToImage: 'https://i.dawn.com/large/2025/05/fo.jpg',
+      publishedAt: '2025-05-12T06:20:00.000Z',
+      source: { name: 'Dawn', url: null }
+    }
+  },
+  {
+    fixture: 'rss-dawn.xml',
+    provider: 'rss',
+    job: { feed: { name: 'Dawn', match: 'india|pakistan' } },
+    count: 1
+  },
+  {
+    fixture: 'atom-sample.xml',
+    provider: 'rss',
+    job: { feed: { name: 'Wire' } },
+    count: 1,
+    first: {
+      title: 'India and Pakistan agree to resume Kartarpur corridor talks',
+      url: 'https://wire.example.org/south-asia/kartarpur-talks',
+      urlToImage: 'https://wire.example.org/img/kartarpur.jpg',
+      publishedAt: '2025-05-11T07:30:00.000Z',
+      source: { name: 'Wire', url: null }
+    }
+  }
+];
+
+// Every article needs these, whatever the provider
+function checkShape(article) {
+  assert.ok(article.title, 'title is empty');
+  assert.ok(/^https?:\/\//.test(article.url), `url ${article.url} is not http(s)`);
+  assert.ok(!Number.isNaN(Date.parse(article.publishedAt)), `publishedAt ${article.publishedAt} is not a date`);
+  assert.strictEqual(typeof article.description, 'string', 'description is not a string');
+  assert.ok(article.source && article.source.name, 'source.name is empty');
+}
+
+// What the ingest pipeline adds to every article
+function checkProcessed(article) {
+  const categories = [...taxonomy.categoryIds(), 'other'];
+  const perspectives = sources.perspectives().map(p => p.id);
+  assert.ok(categories.includes(article.category), `category ${article.category} is not in the taxonomy`);
+  article.categories.forEach(({ id }) => assert.ok(categories.includes(id), `label ${id} is not in the taxonomy`));
+  assert.ok(Number.isFinite(article.sentiment), `sentiment ${article.sentiment} is not a number`);
+  assert.ok(perspectives.includes(article.outlet.perspective), `perspective ${article.outlet.perspective} is unknown`);
+  assert.ok(Number.isFinite(article.relevance.score), 'relevance has no score');
+  assert.strictEqual(typeof article.isPriority, 'boolean', 'isPriority is not a boolean');
+}
+
+// Every recording in the replay corpus, as <provider>/<file>
+function replayFixtures() {
+  return fs.readdirSync(REPLAY_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => fs.readdirSync(path.join(REPLAY_DIR, entry.name))
+      .map(file => ({ provider: entry.name, file })));
+}
+
+let failures = 0;
+let checks = 0;
+CASES.forEach(({ fixture, provider, job, count, first }) => {
+  const label = `${provider} ${fixture}${job && job.feed.match ? ` (match ${job.feed.match})` : ''}`;
+  checks++;
+  try {
+    const body = fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8');
+    const articles = getAdapter(provider).parse(body, job);
+    assert.strictEqual(articles.length, count, `expected ${count} articles, got ${articles.length}`);
+    articles.forEach(checkShape);
+    Object.entries(first || {}).forEach(([field, expected]) => {
+      assert.deepStrictEqual(articles[0][field], expected, `first article's ${field}`);
+    });
+    console.log(`ok    ${label}`);
+  } catch (err) {
+    failures++;
+    console.log(`FAIL  ${label}: ${err.message.split('\n')[0]}`);
+  }
+});
+
+replayFixtures().forEach(({ provider, file }) => {
+  const label = `replay ${provider}/${file}`;
+  checks++;
+  try {
+    const body = fs.readFileSync(path.join(REPLAY_DIR, provider, file), 'utf8');
+    const name = path.basename(file, path.extname(file));
+    const articles = getAdapter(provider).parse(body, { key: name, feed: { name } });
+    assert.ok(articles.length > 0, 'no articles');
+    articles.forEach(article => {
+      checkShape(article);
+      checkProcessed(processArticle({ ...article, provider }));
+    });
+    console.log(`ok    ${label} (${articles.length} articles)`);
+  } catch (err) {
+    failures++;
+    console.log(`FAIL  ${label}: ${err.message.split('\n')[0]}`);
+  }
+});
+
+if (failures) {
+  console.log(`${failures} of ${checks} fixture checks failed`);
+  process.exit(1);
+}
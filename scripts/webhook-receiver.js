@@ -0,0 +1,47 @@
+// A local webhook receiver for trying out deliveries. Prints each request and
+// checks its signature when WEBHOOK_SECRET is set. WEBHOOK_RECEIVER_FAIL=n answers
+// the first n requests with a 503 so the retries can be watched.
+//
+//   WEBHOOK_SECRET=... npm run webhook:receiver
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('../lib/webhooks');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.WEBHOOK_RECEIVER_FAIL, 10) || 0;
+
+function signatureValid(req, body) {
+  const expected = Buffer.from(`sha256=${sign(SECRET, req.headers['x-webhook-timestamp'], body)}`);
+  const given = Buffer.from(req.headers['x-webhook-signature'] || '');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const event = req.headers['x-webhook-event'];
+    const id = req.headers['x-webhook-id'];
+
+    if (SECRET && !signatureValid(req, body)) {
+      console.log(`${new Date().toISOString()} ${event} ${id}: bad signature, answering 401`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${new Date().toISOString()} ${event} ${id}: failing on purpose, answering 503`);
+      res.writeHead(503).end();
+      return;
+    }
+
+    console.log(`${new Date().toISOString()} ${event} ${id}${SECRET ? ' (signature ok)' : ''}`);
+    console.log(body);
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});